@@ -4,15 +4,112 @@
 const AUTO_CROSSFADE_END_SECONDS = 8;
 const STUTTER_RATES = [2, 4, 8, 16]; // Hz - Available rates for cycling
 const DEFAULT_STUTTER_RATE = STUTTER_RATES[0]; // Default rate is the first in the array (2Hz)
-const STUTTER_SHORT_PLAY_DURATION_MS = 100; // How long each stutter plays for
+const STUTTER_SHORT_PLAY_DURATION_MS = 100; // How long each stutter plays for, at most
+const STUTTER_PLAY_FRACTION = 0.5; // Share of each step that plays when steps are shorter than 2x the above
+const STUTTER_MODES = { BEAT: 'beat', HZ: 'hz' };
+// Note values in 4/4: '1/4' repeats once per beat, 'T' marks triplets.
+const STUTTER_BEAT_DIVISIONS = [
+    { label: '1/2', beats: 2 },
+    { label: '1/4', beats: 1 },
+    { label: '1/4T', beats: 2 / 3 },
+    { label: '1/8', beats: 1 / 2 },
+    { label: '1/8T', beats: 1 / 3 },
+    { label: '1/16', beats: 1 / 4 },
+    { label: '1/16T', beats: 1 / 6 }
+];
+const DEFAULT_STUTTER_DIVISION = '1/8';
+const STUTTER_FX_LABELS = { step: 'Stutter Step', loop: 'Stutter Loop', brake: 'Brake', spinback: 'Spin Back', spinup: 'Spin Up' };
+const TRANSPORT_FX_TYPES = ['brake', 'spinback', 'spinup']; // Share the stutter state, so one of these or a stutter runs at a time
+const TRANSPORT_FX_BEAT_OPTIONS = [0.5, 1, 2, 4, 8];
+const DEFAULT_TRANSPORT_FX_BEATS = { brake: 2, spinback: 1, spinup: 1 };
+const TRANSPORT_FX_FALLBACK_BEAT_SECONDS = 0.5; // Beat length used for FX durations when the track has no BPM (120 BPM)
+const TRANSPORT_FX_LOCAL_RAMP_STEPS = 8; // Local files ramp through this many rates; YouTube uses its own rate list
+const TRANSPORT_FX_SPINBACK_STEP_MS = 60; // Time between the backward seeks of a spin-back
+const TRANSPORT_FX_SPINBACK_SPEED = 3; // Backward speed at the start of a spin-back, times normal speed
+const TRANCE_GATE_STEPS = 16; // One bar; sixteenth notes in 4/4
+const TRANCE_GATE_PRESETS = { // '1' lets the step through, '0' mutes it
+    'Eighths': '1010101010101010',
+    'Offbeats': '0011001100110011',
+    'Dotted': '1001001001001001',
+    'Gallop': '1011101110111011',
+    'Chop': '1101011011010110',
+    'Half Bar': '1111111100000000'
+};
+const DEFAULT_TRANCE_GATE_PRESET = 'Eighths';
 const TAP_TEMPO_MIN_TAPS = 4;
 const TAP_TEMPO_TIMEOUT = 2000; // ms to reset tap sequence
+const MAX_EDIT_HISTORY = 50; // Undo steps per deck
+const EDIT_HISTORY_MERGE_MS = 2000; // Repeats of the same edit this close together, like tap tempo, undo as one
+const DEFAULT_BEATS_PER_BAR = 4;
+const BEATGRID_NUDGE_SECONDS = 0.01; // Per click on a nudge button
+const BEATGRID_NUDGE_COARSE_SECONDS = 0.1; // Per shift-click on a nudge button
+const VOLUME_ENVELOPE_MAX_GAIN = 2; // Top of the envelope editor, +6 dB; 1 leaves the level alone
+const MAX_VOLUME_ENVELOPE_POINTS = 64; // Per track
+const GAIN_TRIM_RANGE_DB = 12; // Gain trim goes from -12 dB to +12 dB
+const PITCH_RANGES = [8, 16, 50, 100]; // Selectable pitch ranges, +/- percent
+const DEFAULT_PITCH_RANGE = 16;
+const LOCAL_PLAYBACK_RATE_LIMITS = { min: 0.25, max: 4 }; // Local files play at any rate in between
+const BEATGRID_MIN_TICK_SPACING_PX = 4; // Beat or bar ticks closer than this on the seek slider are not drawn
+const LOOP_MIN_LENGTH_SECONDS = 0.05; // Halving stops here
+const LOOP_BEATS_TOLERANCE_SECONDS = 0.05; // A loop this close to its beat length still counts as that many beats
+const BEAT_JUMP_SIZES = [1, 4, 8, 16, 32];
+const DEFAULT_BEAT_JUMP_SIZE = 4;
+const QUANTIZE_UNITS = { BEAT: 'beat', BAR: 'bar' };
+const QUANTIZE_LATE_TOLERANCE_SECONDS = 0.03; // Presses this soon after a beat or bar run at once instead of waiting a whole one
 const MAX_DECKS = 4;
+const CROSSFADER_SCRATCH_CUT_TRAVEL = 0.04; // Share of fader travel over which a scratch cut reaches full level
+// Gain of one side of a crossfader from how far the fader is over towards it (0 = far side, 1 = fully over).
+const CROSSFADER_CURVES = {
+    linear: { label: 'Linear', gain: (position) => position },
+    constantPower: { label: 'Constant Power', gain: (position) => Math.sin(position * Math.PI / 2) },
+    slowFade: { label: 'Slow Fade', gain: (position) => position * position },
+    scratchCut: { label: 'Scratch Cut', gain: (position) => Math.min(1, position / CROSSFADER_SCRATCH_CUT_TRAVEL) }
+};
+const DEFAULT_CROSSFADER_CURVE = 'linear';
+// Shape of an automated fade over time (0 to 1 in, 0 to 1 out).
+const CROSSFADE_EASINGS = {
+    linear: { label: 'Linear', ease: (t) => t },
+    easeInOut: { label: 'Ease In-Out', ease: (t) => (t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2) },
+    easeIn: { label: 'Ease In', ease: (t) => t * t },
+    easeOut: { label: 'Ease Out', ease: (t) => 1 - (1 - t) * (1 - t) }
+};
+const DEFAULT_CROSSFADE_EASING = 'linear';
+// Every type waits for the outgoing deck's next bar (or beat, without a bar length) when it has a BPM.
+const CROSSFADE_TRANSITIONS = { fade: 'Fade', cut: 'Cut on Next Bar', loopOut: 'Loop-Out', echoOut: 'Echo-Out' };
+const DEFAULT_CROSSFADE_TRANSITION = 'fade';
+const CROSSFADE_HIDDEN_FRAME_MS = 50; // Frame interval while the tab is hidden and animation frames are paused
+// Dispatched on document during automated fades; see Mixer.dispatchCrossfadeEvent() for the detail object.
+const CROSSFADE_EVENTS = { START: 'crossfadestart', PROGRESS: 'crossfadeprogress', COMPLETE: 'crossfadecomplete' };
+const MAIN_CROSSFADER_ID = 'crossfader12'; // The A/B main fader; the Deck 1/2 fader in pairwise mode
+const CROSSFADER_ASSIGNMENTS = { A: 'A', B: 'B', THRU: 'THRU' }; // Side of the main fader a deck plays through; THRU bypasses it
+const DEFAULT_CROSSFADER_ASSIGNMENTS = ['A', 'B', 'A', 'B']; // Deck 1 to 4
+const SET_SESSION_FORMAT = 'yt-dj-set'; // Marks a JSON file as a recorded set
+const SET_SESSION_VERSION = 1;
+// Deck and Mixer methods a recorded set may call on replay; each event names one with its arguments.
+const SET_RECORDER_DECK_ACTIONS = ['loadVideoById', 'loadAndCue', 'loadLocalFile', 'setPlaying', 'seekTo', 'jumpToCuePoint', 'holdCuePoint', 'releaseCuePoint', 'toggleLoop', 'setBeatLoop', 'reloop', 'beatJump', 'toggleStutterFx', 'setChannelVolume', 'applyPlaybackRate', 'setBPM', 'setDownbeat', 'nudgeBeatgrid', 'syncToDeck', 'playWithDeck', 'toggleMute', 'toggleSolo', 'setGainTrim', 'addQueueUrls', 'addToQueue', 'moveQueuedTrack', 'removeQueuedTrack', 'loadNextFromQueue', 'setQueueAutoPlay'];
+const SET_RECORDER_MIXER_ACTIONS = ['setCrossfaderPosition', 'setMasterVolume', 'triggerCrossfade', 'abortCrossfade', 'reverseCrossfade', 'setAutoCrossfade', 'startAutoDj', 'stopAutoDj'];
+const SET_REPLAY_LOAD_TIMEOUT_MS = 20000; // How long a replay waits for its starting tracks to cue
+const TRACKLIST_FORMAT = 'yt-dj-tracklist'; // Marks the JSON tracklist export
+// A track has to stay the loudest playing deck this long to count, so cutting back and forth doesn't list it twice.
+const TRACKLIST_DOMINANCE_HOLD_MS = 5000;
+const CUE_SHEET_FRAMES_PER_SECOND = 75;
 const LOCAL_STORAGE_CONSENT_KEY = 'ytDjConsentStatus';
 const LOCAL_STORAGE_PLAYLISTS_KEY = 'ytDjPlaylists';
 const LOCAL_STORAGE_TRACK_SETTINGS_PREFIX = 'ytDjTrackSettings_';
+const LOCAL_STORAGE_DECK_QUEUE_PREFIX = 'ytDjDeckQueue_';
+const LOCAL_STORAGE_MIXER_PREFERENCES_KEY = 'ytDjMixerPreferences';
+const MAX_QUEUE_LENGTH = 100;
 const PREFERENCES_CONSENT_ID = 'preferences'; // Matches checkbox ID part
-const MAX_CUE_POINTS = 3;
+const MAX_CUE_POINTS = 8;
+const CUE_COLORS = ['#ffd700', '#00bfff', '#9400d3', '#32cd32', '#ff4500', '#ff69b4', '#ff8c00', '#40e0d0']; // Default color per hot cue slot
+const CUE_MODES = { PLAY: 'play', PAUSE: 'pause', LOOP: 'loop' }; // What jumping to a hot cue does
+const CUE_LABEL_MAX_LENGTH = 12;
+const MAX_SAVED_LOOPS = 16; // Per track
+const SAVED_LOOP_NAME_MAX_LENGTH = 24;
+const PLAYER_STATE = { UNSTARTED: -1, ENDED: 0, PLAYING: 1, PAUSED: 2, BUFFERING: 3, CUED: 5 }; // Same values as YT.PlayerState
+const LOCAL_FILE_ERROR = 'local-file'; // Error code reported by the local file backend
+const LOCAL_TRACK_ID_PREFIX = 'local:'; // Track IDs of local files, used as the track settings key
+const LOCAL_FILE_EXTENSIONS = ['mp3', 'wav', 'flac'];
 
 // --- Global State ---
 let ytApiReady = false;
@@ -23,6 +120,8 @@ let uiManager;
 let playlistManager;
 let consentManager;
 let storageManager;
+let setRecorder;
+let tracklistLogger;
 
 // A list to queue deck initializations if onYouTubeIframeAPIReady hasn't fired yet
 let deckInitializationQueue = [];
@@ -43,6 +142,18 @@ function formatTime(timeInSeconds) {
     return `${minutes}:${seconds < 10 ? '0' : ''}${seconds}`;
 }
 
+/**
+ * Formats time in seconds as m:ss, or h:mm:ss from an hour on, as used in tracklists.
+ * @param {number} timeInSeconds
+ * @returns {string}
+ */
+function formatLongTime(timeInSeconds) {
+    if (!(timeInSeconds >= 3600)) return formatTime(timeInSeconds);
+    const hours = Math.floor(timeInSeconds / 3600);
+    const rest = formatTime(timeInSeconds % 3600);
+    return `${hours}:${rest.length < 5 ? '0' : ''}${rest}`;
+}
+
 /**
  * Parses a time string (mm:ss or seconds) into seconds.
  * @param {string} timeString - The time string to parse.
@@ -85,6 +196,72 @@ function parseYouTubeUrl(urlOrId) {
     return (match && match[2].length === 11) ? match[2] : null;
 }
 
+/**
+ * Formats a playback rate as a signed tempo change, e.g. 1.04 -> "+4.0%".
+ * @param {number} rate
+ * @returns {string}
+ */
+function formatPitchPercent(rate) {
+    const percent = (rate - 1) * 100;
+    return `${percent >= 0 ? '+' : ''}${percent.toFixed(1)}%`;
+}
+
+/**
+ * Builds a hot cue from stored track settings. Accepts the current object format
+ * as well as the bare seconds stored by older versions of the app.
+ * @param {object|number|null} entry - Stored cue point.
+ * @param {number} index - Cue slot, used for the default color.
+ * @returns {{time: number, color: string, label: string, mode: string, loopLength: number|null}|null}
+ */
+function normalizeCuePoint(entry, index) {
+    if (entry === null || entry === undefined) return null;
+    const cue = typeof entry === 'number' ? { time: entry } : entry;
+    if (typeof cue.time !== 'number' || isNaN(cue.time) || cue.time < 0) return null;
+    const mode = Object.values(CUE_MODES).includes(cue.mode) ? cue.mode : CUE_MODES.PLAY;
+    const loopLength = typeof cue.loopLength === 'number' && cue.loopLength > 0 ? cue.loopLength : null;
+    return {
+        time: cue.time,
+        color: typeof cue.color === 'string' && /^#[0-9a-f]{6}$/i.test(cue.color) ? cue.color : CUE_COLORS[index % CUE_COLORS.length],
+        label: typeof cue.label === 'string' ? cue.label.slice(0, CUE_LABEL_MAX_LENGTH) : '',
+        mode: mode === CUE_MODES.LOOP && !loopLength ? CUE_MODES.PLAY : mode,
+        loopLength
+    };
+}
+
+/**
+ * Builds a saved loop from stored track settings, dropping entries with unusable points.
+ * A loop with `beats` set is a beat loop: its end follows the track's BPM instead of `out`.
+ * @param {object} entry - Stored loop.
+ * @returns {{name: string, in: number, out: number, beats: number|null}|null}
+ */
+function normalizeSavedLoop(entry) {
+    if (!entry || typeof entry !== 'object') return null;
+    if (typeof entry.in !== 'number' || typeof entry.out !== 'number' || isNaN(entry.in) || entry.in < 0 || entry.out <= entry.in) return null;
+    return {
+        name: typeof entry.name === 'string' && entry.name.trim() ? entry.name.trim().slice(0, SAVED_LOOP_NAME_MAX_LENGTH) : 'Loop',
+        in: entry.in,
+        out: entry.out,
+        beats: Number.isFinite(entry.beats) && entry.beats > 0 ? entry.beats : null // Halved beat loops keep fractions
+    };
+}
+
+/**
+ * Offers text as a file download.
+ * @param {string} filename
+ * @param {string} text
+ * @param {string} mimeType
+ */
+function downloadTextFile(filename, text, mimeType) {
+    const url = URL.createObjectURL(new Blob([text], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
 /**
  * Displays a toast notification.
  * @param {string} message - The message to display.
@@ -173,6 +350,9 @@ class ConsentManager {
         localStorage.setItem(LOCAL_STORAGE_CONSENT_KEY, JSON.stringify(this.consentStatus));
         this.applyConsentToUI();
         if (playlistManager) playlistManager.refreshPlaylistsAfterConsentChange();
+        // Queues and mixer settings chosen before consent are kept from here on.
+        deckObjects.forEach(deck => deck?.saveTrackQueue());
+        if (mixer) mixer.savePreferences();
     }
 
     hasConsent(type = PREFERENCES_CONSENT_ID) {
@@ -284,6 +464,61 @@ class StorageManager {
         return false;
     }
 
+    saveDeckQueue(deckId, queue) {
+        if (this.consentManager.hasConsent(PREFERENCES_CONSENT_ID)) {
+            try {
+                localStorage.setItem(`${LOCAL_STORAGE_DECK_QUEUE_PREFIX}${deckId}`, JSON.stringify(queue));
+                return true;
+            } catch (e) {
+                console.error(`Error saving queue for ${deckId}:`, e);
+                showNotification("Error saving the track queue. Storage might be full.", "error");
+                return false;
+            }
+        }
+        return false;
+    }
+
+    loadDeckQueue(deckId) {
+        if (this.consentManager.hasConsent(PREFERENCES_CONSENT_ID)) {
+            const data = localStorage.getItem(`${LOCAL_STORAGE_DECK_QUEUE_PREFIX}${deckId}`);
+            try {
+                const queue = data ? JSON.parse(data) : [];
+                return Array.isArray(queue) ? queue.filter(videoId => parseYouTubeUrl(videoId) === videoId) : [];
+            } catch (e) {
+                console.error(`Error parsing queue for ${deckId}:`, e);
+                return [];
+            }
+        }
+        return [];
+    }
+
+    saveMixerPreferences(preferences) {
+        if (this.consentManager.hasConsent(PREFERENCES_CONSENT_ID)) {
+            try {
+                localStorage.setItem(LOCAL_STORAGE_MIXER_PREFERENCES_KEY, JSON.stringify(preferences));
+                return true;
+            } catch (e) {
+                console.error("Error saving mixer preferences to localStorage:", e);
+                showNotification("Error saving mixer preferences. Storage might be full.", "error");
+                return false;
+            }
+        }
+        return false;
+    }
+
+    loadMixerPreferences() {
+        if (this.consentManager.hasConsent(PREFERENCES_CONSENT_ID)) {
+            const data = localStorage.getItem(LOCAL_STORAGE_MIXER_PREFERENCES_KEY);
+            try {
+                return data ? JSON.parse(data) : null;
+            } catch (e) {
+                console.error("Error parsing mixer preferences from localStorage:", e);
+                return null;
+            }
+        }
+        return null;
+    }
+
     loadTrackSettings(videoId) {
         if (this.consentManager.hasConsent(PREFERENCES_CONSENT_ID) && videoId) {
             const data = localStorage.getItem(`${LOCAL_STORAGE_TRACK_SETTINGS_PREFIX}${videoId}`);
@@ -299,38 +534,280 @@ class StorageManager {
 }
 
 
+// --- Player Backends ---
+
+/**
+ * Interface between a Deck and whatever actually plays its audio.
+ * A backend reports back through the `events` callbacks it is given:
+ * onReady(backend), onStateChange(backend, state) and onError(backend, errorCode),
+ * where state is one of PLAYER_STATE.
+ */
+class PlayerBackend {
+    constructor(events) {
+        this.events = events;
+        this.ready = false;
+    }
+
+    isReady() { return this.ready; }
+
+    /** @param {*} source - Backend specific: a video ID or a File. */
+    load(source) {}
+    play() {}
+    pause() {}
+    stop() {}
+    /** @param {number} seconds */
+    seekTo(seconds) {}
+    getCurrentTime() { return 0; }
+    getDuration() { return 0; }
+    getState() { return PLAYER_STATE.UNSTARTED; }
+    /** @param {number} volume - 0 to 100. */
+    setVolume(volume) {}
+    getTitle() { return ''; }
+    /** @param {number} rate - 1 is normal speed. */
+    setPlaybackRate(rate) {}
+    getPlaybackRate() { return 1; }
+    /** @returns {number[]|null} Supported rates, or null if any rate within LOCAL_PLAYBACK_RATE_LIMITS works. */
+    getAvailablePlaybackRates() { return [1]; }
+}
+
+class YouTubePlayerBackend extends PlayerBackend {
+    constructor(elementId, events) {
+        super(events);
+        this.elementId = elementId;
+        this.player = null; // YT.Player, created by init()
+    }
+
+    // Must only be called once ytApiReady is true.
+    init() {
+        this.player = new YT.Player(this.elementId, {
+            height: '100%',
+            width: '100%',
+            playerVars: {
+                'playsinline': 1,
+                'controls': 0,
+                'disablekb': 1,
+                'modestbranding': 1,
+                'rel': 0,
+                'fs': 0
+            },
+            events: {
+                'onReady': () => {
+                    this.ready = true;
+                    this.events.onReady(this);
+                },
+                'onStateChange': (event) => this.events.onStateChange(this, event.data),
+                'onError': (event) => this.events.onError(this, event.data)
+            }
+        });
+    }
+
+    isInitialized() { return this.player !== null; }
+
+    load(videoId) { if (this.ready) this.player.cueVideoById(videoId); }
+    play() { if (this.ready) this.player.playVideo(); }
+    pause() { if (this.ready) this.player.pauseVideo(); }
+    stop() { if (this.ready) this.player.stopVideo(); }
+    seekTo(seconds) { if (this.ready) this.player.seekTo(seconds, true); }
+    getCurrentTime() { return this.ready ? this.player.getCurrentTime() : 0; }
+    getDuration() { return this.ready ? this.player.getDuration() : 0; }
+    getState() { return this.ready ? this.player.getPlayerState() : PLAYER_STATE.UNSTARTED; }
+    setVolume(volume) { if (this.ready) this.player.setVolume(volume); }
+    getTitle() { return this.ready ? (this.player.getVideoData()?.title || '') : ''; }
+    setPlaybackRate(rate) { if (this.ready) this.player.setPlaybackRate(rate); }
+    getPlaybackRate() { return this.ready ? this.player.getPlaybackRate() : 1; }
+    getAvailablePlaybackRates() {
+        const rates = this.ready ? this.player.getAvailablePlaybackRates() : null;
+        return rates && rates.length ? rates : [1];
+    }
+}
+
+/**
+ * Plays MP3/WAV/FLAC files from the user's disk through an <audio> element.
+ * Volume goes through a Web Audio gain node where available, since some mobile
+ * browsers ignore HTMLMediaElement.volume.
+ */
+class LocalFilePlayerBackend extends PlayerBackend {
+    constructor(events) {
+        super(events);
+        this.audio = new Audio();
+        this.audio.preload = 'auto';
+        this.objectUrl = null;
+        this.title = '';
+        this.state = PLAYER_STATE.UNSTARTED;
+        this.volume = 100;
+        this.audioContext = null;
+        this.gainNode = null;
+
+        this.audio.addEventListener('loadedmetadata', () => this.setState(PLAYER_STATE.CUED));
+        this.audio.addEventListener('playing', () => this.setState(PLAYER_STATE.PLAYING));
+        this.audio.addEventListener('waiting', () => this.setState(PLAYER_STATE.BUFFERING));
+        this.audio.addEventListener('pause', () => {
+            if (!this.audio.ended) this.setState(PLAYER_STATE.PAUSED);
+        });
+        this.audio.addEventListener('ended', () => this.setState(PLAYER_STATE.ENDED));
+        this.audio.addEventListener('error', () => {
+            if (this.objectUrl) this.events.onError(this, LOCAL_FILE_ERROR);
+        });
+        this.ready = true;
+    }
+
+    setState(state) {
+        this.state = state;
+        this.events.onStateChange(this, state);
+    }
+
+    // The AudioContext is created lazily because browsers only allow it after a user gesture.
+    ensureAudioGraph() {
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        if (this.audioContext || !AudioContextClass) return;
+        try {
+            this.audioContext = new AudioContextClass();
+            this.gainNode = this.audioContext.createGain();
+            this.audioContext.createMediaElementSource(this.audio).connect(this.gainNode);
+            this.gainNode.connect(this.audioContext.destination);
+            this.audio.volume = 1;
+        } catch (e) {
+            console.warn('Web Audio unavailable for local file playback, using element volume:', e);
+            this.audioContext = null;
+            this.gainNode = null;
+        }
+        this.setVolume(this.volume);
+    }
+
+    load(file) {
+        this.ensureAudioGraph();
+        if (this.objectUrl) URL.revokeObjectURL(this.objectUrl);
+        this.objectUrl = URL.createObjectURL(file);
+        this.title = file.name.replace(/\.[^.]+$/, '');
+        this.state = PLAYER_STATE.UNSTARTED;
+        this.audio.src = this.objectUrl;
+        this.audio.load();
+    }
+
+    play() {
+        if (!this.objectUrl) return;
+        if (this.audioContext && this.audioContext.state === 'suspended') this.audioContext.resume();
+        this.audio.play().catch(e => console.warn('Local file playback was blocked:', e));
+    }
+
+    pause() { this.audio.pause(); }
+
+    stop() {
+        this.audio.pause();
+        if (this.objectUrl) {
+            this.audio.currentTime = 0;
+            this.setState(PLAYER_STATE.CUED);
+        }
+    }
+
+    seekTo(seconds) {
+        if (this.objectUrl) this.audio.currentTime = seconds;
+    }
+
+    getCurrentTime() { return this.audio.currentTime || 0; }
+    getDuration() { return Number.isFinite(this.audio.duration) ? this.audio.duration : 0; }
+    getState() { return this.state; }
+
+    setVolume(volume) {
+        this.volume = volume;
+        if (this.gainNode) {
+            this.gainNode.gain.value = volume / 100;
+        } else {
+            this.audio.volume = volume / 100;
+        }
+    }
+
+    getTitle() { return this.title; }
+
+    setPlaybackRate(rate) { this.audio.playbackRate = rate; }
+    getPlaybackRate() { return this.audio.playbackRate; }
+    getAvailablePlaybackRates() { return null; }
+}
+
+
 // --- Deck Class ---
 class Deck {
     constructor(deckId, onPlayerReadyCallback) {
         this.deckId = deckId;
         this.deckNumber = parseInt(deckId.replace('deck', ''), 10);
-        this.player = null;
-        this.playerReady = false; // This will be true ONLY after YT.Player's onReady event
+        this.backendEvents = {
+            onReady: (backend) => this.onPlayerReady(backend),
+            onStateChange: (backend, state) => { if (backend === this.player) this.onPlayerStateChange(state); },
+            onError: (backend, errorCode) => { if (backend === this.player) this.onPlayerError(errorCode); }
+        };
+        this.youtubeBackend = new YouTubePlayerBackend(`player${this.deckNumber}`, this.backendEvents);
+        this.localBackend = null; // Created on the first local file load
+        this.player = this.youtubeBackend; // Active PlayerBackend
         this.playerApiReadyAndPlayerInitialized = false; // Helper to know if YT.Player construction was called
         this.onPlayerReadyCallback = onPlayerReadyCallback; // General callback for app logic
         this.currentVideoId = null;
         this.queuedVideoId = null; // For videos loaded before player is ready
         this.trackInfo = { title: '', duration: 0, currentTime: 0 };
-        this.playbackState = -1; // YT.PlayerState
+        this.playbackState = -1; // PLAYER_STATE
         this.playbackTimeBeforeSeek = 0; // Store time before user starts dragging seek slider
 
         this.intendedVolume = 80; // Volume set by user on this deck's slider
         this.effectiveVolume = 0; // Actual volume after master/crossfader adjustments
+        this.gainTrimDb = 0; // Per-track level correction ahead of the channel fader
+        this.isMuted = false;
+        this.isSoloed = false;
+        this.volumeEnvelope = []; // Breakpoints {time, gain} in time order, see getEnvelopeGain()
+        this.envelopeBypassed = false;
+        this.envelopeDrag = null; // Index of the breakpoint being dragged in the editor
 
-        this.cuePoints = new Array(MAX_CUE_POINTS).fill(null); // Store cue point times in seconds
+        this.cuePoints = new Array(MAX_CUE_POINTS).fill(null); // Hot cues, see normalizeCuePoint()
+        this.editingCueIndex = 0; // Hot cue shown in the cue editor
 
         this.loop = { in: null, out: null, active: false, timer: null, selectedBeatLoopLength: null };
+        this.transitionLoopBackup = null; // The track's own loop while a loop-out transition borrows the loop
+        this.savedLoops = []; // Named loop library for the current track, see normalizeSavedLoop()
         this.bpm = null;
+        this.beatgrid = { offset: 0, beatsPerBar: DEFAULT_BEATS_PER_BAR }; // offset: time of a downbeat in seconds; beatsPerBar null = no bars
+        this.playbackRate = 1; // Set by the pitch control; kept across tracks like a turntable's pitch fader
+        this.pitchRange = DEFAULT_PITCH_RANGE;
+        this.quantize = {
+            enabled: false,
+            unit: QUANTIZE_UNITS.BEAT,
+            pending: null, // { label, timeoutId } of the action waiting for the next boundary
+            isRunningAction: false // True while a deferred action runs, so it isn't deferred again
+        };
+        this.slip = {
+            enabled: false,
+            shadow: null, // { time, since, running }: where the track would be, while a loop, stutter or held cue plays
+            heldCueIndex: null // Hot cue held down in slip mode
+        };
+        this.beatJumpSize = DEFAULT_BEAT_JUMP_SIZE;
+        this.mixPoints = { in: null, out: null }; // Where auto transitions bring this track in and take it out
+        // Undo/redo of the cue, loop, BPM and volume settings; see recordEditHistory().
+        // entries[i] is { kind, label, before, after, time }; index counts the entries in effect.
+        this.editHistory = { entries: [], index: 0, state: null, mergeable: null };
+        this.trackQueue = storageManager ? storageManager.loadDeckQueue(this.deckId) : []; // Upcoming YouTube video IDs
+        this.queueAutoPlay = false; // Whether a track loaded from the queue starts playing
+        this.pendingLoadCue = null; // { autoPlay } until a track loaded from the queue or by Auto-DJ is cued
         this.tapTempoData = { taps: [], lastTapTime: 0 };
 
         this.stutterFx = {
-            activeFxType: null, // 'step' or 'loop'
-            rate: DEFAULT_STUTTER_RATE, // Current stutter rate in Hz
-            intervalId: null, // For the stutter effect interval
+            activeFxType: null, // 'step', 'loop' or one of TRANSPORT_FX_TYPES
+            mode: STUTTER_MODES.BEAT, // Beat divisions of the BPM, or fixed Hz rates
+            division: DEFAULT_STUTTER_DIVISION, // Label from STUTTER_BEAT_DIVISIONS, used in beat mode
+            rate: DEFAULT_STUTTER_RATE, // Current stutter rate in Hz, used in Hz mode or without BPM
+            schedulerTimeoutId: null, // Timeout for the next stutter step
+            clock: null, // { startedAt, intervalMs, step }: performance.now() anchor the steps are counted from
+            transportBeats: { ...DEFAULT_TRANSPORT_FX_BEATS }, // Duration of brake, spin-back and spin-up in beats
+            transportTimeoutId: null, // Timeout for the next rate or seek step of a transport FX
+            volumeFactor: 1, // Spin-back ducks the output volume through this
             originalPlayerState: null, // Player state before stutter started
             stutterLoopStartTime: null, // For 'loop' type, the time to loop back to
             stutterTimeoutId: null // Timeout for the short play duration in stutter
         };
+        this.gateFx = {
+            active: false,
+            pattern: TRANCE_GATE_PRESETS[DEFAULT_TRANCE_GATE_PRESET].split('').map(step => step === '1'),
+            preset: DEFAULT_TRANCE_GATE_PRESET, // Null once the pattern has been edited
+            currentStep: null, // Step under the playhead while the gate runs
+            isOpen: true, // Whether the current step lets the deck through
+            timeoutId: null // Timeout for the next step boundary
+        };
         this.updateInterval = null; // For regularly updating time display and seek bar
         this.isDraggingSlider = false; // True if user is currently dragging the seek slider
         this.isLoading = false; // True if a track is currently being loaded
@@ -342,34 +819,93 @@ class Deck {
             playerDivId: `player${this.deckNumber}`,
             youtubeUrlInput: document.querySelector(`#${this.deckId} .youtube-url`),
             loadButton: document.querySelector(`#${this.deckId} .load-button`),
+            queueUrlInput: document.getElementById(`queue-url-${this.deckId}`),
+            queueAddButton: document.querySelector(`#${this.deckId} .queue-add-button`),
+            queueLoadNextButton: document.querySelector(`#${this.deckId} .queue-load-next-button`),
+            queueAutoPlayButton: document.querySelector(`#${this.deckId} .queue-autoplay-button`),
+            queueList: document.querySelector(`#${this.deckId} .track-queue-list`),
+            localFileInput: document.querySelector(`#${this.deckId} .local-file-input`),
+            localFileButton: document.querySelector(`#${this.deckId} .local-file-button`),
             trackTitleDisplay: document.querySelector(`#${this.deckId} .track-title-display`),
             videoToggleButton: document.querySelector(`#${this.deckId} .video-toggle-button`),
             playPauseToggleButton: document.querySelector(`#${this.deckId} .play-pause-toggle`),
             currentTimeDisplay: document.querySelector(`#${this.deckId} .current-time`),
             durationDisplay: document.querySelector(`#${this.deckId} .duration`),
             seekSlider: document.querySelector(`#${this.deckId} .seek-slider`),
+            beatgridTicks: document.querySelector(`#${this.deckId} .beatgrid-ticks`),
             cuePointMarkers: [],
             cueSetButtons: [],
             cueJumpButtons: [],
             cueTimeInputs: [],
+            cueEditButtons: [],
+            cueEditorTitle: document.querySelector(`#${this.deckId} .cue-editor-title`),
+            cueColorInput: document.getElementById(`cue-color-${this.deckId}`),
+            cueLabelInput: document.getElementById(`cue-label-${this.deckId}`),
+            cueModeSelect: document.getElementById(`cue-mode-${this.deckId}`),
             loopRangeMarker: document.querySelector(`#${this.deckId} .loop-range-marker`),
             loopInMarkerOnSeek: document.querySelector(`#${this.deckId} .loop-in-marker-on-seek`),
             loopOutMarkerOnSeek: document.querySelector(`#${this.deckId} .loop-out-marker-on-seek`),
             volumeSlider: document.getElementById(`volume-${this.deckId}`),
             vuMeterBar: document.getElementById(`vu-meter-${this.deckId}`),
+            gainTrimSlider: document.getElementById(`gain-trim-${this.deckId}`),
+            gainTrimValue: document.querySelector(`#${this.deckId} .gain-trim-value`),
+            envelopeEditor: document.querySelector(`#${this.deckId} .volume-envelope-editor`),
+            envelopeLine: document.querySelector(`#${this.deckId} .volume-envelope-line`),
+            envelopeBypassButton: document.querySelector(`#${this.deckId} .envelope-bypass-button`),
+            envelopeClearButton: document.querySelector(`#${this.deckId} .envelope-clear-button`),
+            muteButton: document.querySelector(`#${this.deckId} .mute-button`),
+            soloButton: document.querySelector(`#${this.deckId} .solo-button`),
             bpmInput: document.getElementById(`bpm-${this.deckId}`),
             tapTempoButton: document.querySelector(`#${this.deckId} .tap-tempo-button`),
+            pitchSlider: document.getElementById(`pitch-${this.deckId}`),
+            pitchRangeSelect: document.getElementById(`pitch-range-${this.deckId}`),
+            pitchResetButton: document.querySelector(`#${this.deckId} .pitch-reset-button`),
+            pitchDisplay: document.querySelector(`#${this.deckId} .pitch-display`),
+            effectiveBpmDisplay: document.querySelector(`#${this.deckId} .effective-bpm-display`),
+            downbeatButton: document.querySelector(`#${this.deckId} .downbeat-button`),
+            beatgridNudgeButtons: document.querySelectorAll(`#${this.deckId} .beatgrid-nudge-button`),
+            beatgridOffsetDisplay: document.querySelector(`#${this.deckId} .beatgrid-offset-display`),
+            beatsPerBarSelect: document.getElementById(`beats-per-bar-${this.deckId}`),
+            quantizeButton: document.querySelector(`#${this.deckId} .quantize-button`),
+            quantizeIndicator: document.querySelector(`#${this.deckId} .quantize-indicator`),
+            slipButton: document.querySelector(`#${this.deckId} .slip-button`),
+            slipMarker: document.querySelector(`#${this.deckId} .slip-marker`),
+            mixInMarker: document.querySelector(`#${this.deckId} .mix-in-marker`),
+            mixOutMarker: document.querySelector(`#${this.deckId} .mix-out-marker`),
+            mixInButton: document.querySelector(`#${this.deckId} .mix-in-button`),
+            mixOutButton: document.querySelector(`#${this.deckId} .mix-out-button`),
+            mixInInput: document.getElementById(`mix-in-${this.deckId}`),
+            mixOutInput: document.getElementById(`mix-out-${this.deckId}`),
+            undoButton: document.querySelector(`#${this.deckId} .undo-button`),
+            redoButton: document.querySelector(`#${this.deckId} .redo-button`),
+            editHistoryList: document.querySelector(`#${this.deckId} .edit-history-list`),
             loopInInput: document.getElementById(`loop-in-${this.deckId}`),
             loopInButton: document.querySelector(`#${this.deckId} .loop-in-button`),
             loopOutInput: document.getElementById(`loop-out-${this.deckId}`),
             loopOutButton: document.querySelector(`#${this.deckId} .loop-out-button`),
             loopToggleButton: document.querySelector(`#${this.deckId} .loop-toggle-button`),
+            loopHalveButton: document.querySelector(`#${this.deckId} .loop-halve-button`),
+            loopDoubleButton: document.querySelector(`#${this.deckId} .loop-double-button`),
+            loopShiftButtons: document.querySelectorAll(`#${this.deckId} .loop-shift-button`),
+            reloopButton: document.querySelector(`#${this.deckId} .reloop-button`),
+            beatJumpButtons: document.querySelectorAll(`#${this.deckId} .beat-jump-button`),
+            beatJumpSizeSelect: document.getElementById(`beat-jump-size-${this.deckId}`),
+            loopNameInput: document.getElementById(`loop-name-${this.deckId}`),
+            loopSaveButton: document.querySelector(`#${this.deckId} .loop-save-button`),
+            savedLoopList: document.querySelector(`#${this.deckId} .saved-loop-list`),
             beatLoopButtons: document.querySelectorAll(`#${this.deckId} .beat-loop-length-button`),
             stutterStepButton: document.querySelector(`#${this.deckId} .stutter-step-button`),
             stutterLoopButton: document.querySelector(`#${this.deckId} .stutter-loop-button`),
             stutterRateButton: document.getElementById(`stutter-fx-rate-button-${this.deckId}`),
+            stutterModeButton: document.getElementById(`stutter-fx-mode-button-${this.deckId}`),
+            transportFxButtons: document.querySelectorAll(`#${this.deckId} .transport-fx-button`),
+            transportFxBeatSelects: document.querySelectorAll(`#${this.deckId} .transport-fx-beats-select`),
+            gateToggleButton: document.querySelector(`#${this.deckId} .gate-toggle-button`),
+            gatePresetSelect: document.getElementById(`gate-preset-${this.deckId}`),
+            gateStepButtons: document.querySelectorAll(`#${this.deckId} .gate-step`),
             settingsSaveNotice: document.getElementById(`deck-settings-save-notice-${this.deckId}`),
-            playWithDeckButtons: document.querySelectorAll(`#${this.deckId} .play-with-deck-button`)
+            playWithDeckButtons: document.querySelectorAll(`#${this.deckId} .play-with-deck-button`),
+            syncButtons: document.querySelectorAll(`#${this.deckId} .sync-button`)
         };
 
         // Populate cue point related DOM elements
@@ -378,45 +914,59 @@ class Deck {
             this.dom.cueJumpButtons.push(document.querySelector(`#${this.deckId} .cue-jump-button-${i + 1}`));
             this.dom.cuePointMarkers.push(document.getElementById(`cue-marker-${i + 1}-deck${this.deckNumber}`));
             this.dom.cueTimeInputs.push(document.getElementById(`cue-time-input-${i + 1}-deck${this.deckNumber}`));
+            this.dom.cueEditButtons.push(document.querySelector(`#${this.deckId} .cue-edit-button-${i + 1}`));
         }
 
         if (this.dom.volumeSlider) {
             this.intendedVolume = parseInt(this.dom.volumeSlider.value, 10);
         }
         this.updateStutterRateButtonText();
+        this.updateTranceGateUI();
+        this.renderTrackQueue();
+        this.renderSavedLoops();
+        this.updateCueControls();
+        this.updatePitchDisplay();
         // Player initialization is now deferred to onYouTubeIframeAPIReady or when deck becomes visible
         this.initEventListeners();
         this.updatePlaybackUI();
     }
 
+    /** True when the active backend can take commands. */
+    get playerReady() {
+        return !!this.player && this.player.isReady();
+    }
+
+    /** True when the deck is playing a local file rather than a YouTube video. */
+    isLocalSource() {
+        return this.localBackend !== null && this.player === this.localBackend;
+    }
+
+    /**
+     * Makes the given backend the active one and stops the previous one.
+     * @param {PlayerBackend} backend
+     */
+    useBackend(backend) {
+        if (this.player === backend) return;
+        const previousBackend = this.player;
+        this.player = backend; // Switch first so the stop below is not reported as this deck's state
+        if (previousBackend && previousBackend.isReady()) previousBackend.stop();
+        this.dom.playerContainer?.classList.toggle('local-source', this.isLocalSource());
+        this.updateVolume();
+        this.applyPlaybackRate(this.playbackRate, false);
+    }
+
     // MODIFIED: This method is now called ONLY when ytApiReady is true.
     initPlayer() {
         // Check if player already exists or if API isn't ready (redundant check, but good for safety)
-        if (this.player || !ytApiReady) {
+        if (this.youtubeBackend.isInitialized() || !ytApiReady) {
             if (!ytApiReady) console.warn(`${this.deckId}: initPlayer called, but YT API still not ready. Should not happen if logic is correct.`);
-            if (this.player) console.log(`${this.deckId}: initPlayer called, but player object already exists.`);
+            if (this.youtubeBackend.isInitialized()) console.log(`${this.deckId}: initPlayer called, but player object already exists.`);
             return;
         }
 
         console.log(`Attempting to create YT.Player for ${this.dom.playerDivId}.`);
         try {
-            this.player = new YT.Player(this.dom.playerDivId, {
-                height: '100%',
-                width: '100%',
-                playerVars: {
-                    'playsinline': 1,
-                    'controls': 0,
-                    'disablekb': 1,
-                    'modestbranding': 1,
-                    'rel': 0,
-                    'fs': 0
-                },
-                events: {
-                    'onReady': (event) => this.onPlayerReady(event),
-                    'onStateChange': (event) => this.onPlayerStateChange(event),
-                    'onError': (event) => this.onPlayerError(event)
-                }
-            });
+            this.youtubeBackend.init();
             this.playerApiReadyAndPlayerInitialized = true; // Mark that YT.Player constructor was called
             console.log(`YT.Player constructor called for ${this.dom.playerDivId}. Waiting for onReady event.`);
         } catch (e) {
@@ -427,16 +977,7 @@ class Deck {
     }
 
     // MODIFIED: Logic for handling player readiness and queued videos
-    onPlayerReady(event) {
-        // It's crucial that `this.player` is the instance that fired this event.
-        // The 'event.target' IS the player instance.
-        if(event.target !== this.player) {
-            console.warn(`${this.deckId}: onPlayerReady event target does not match this.player. This is unexpected.`);
-            // Potentially re-assign, though this indicates a deeper issue if it happens.
-            // this.player = event.target;
-        }
-
-        this.playerReady = true; // Player instance is now ready for commands
+    onPlayerReady(backend) {
         console.log(`${this.deckId} player instance is ready (onReady event fired).`);
         this.updateVolume();
         if (this.onPlayerReadyCallback) {
@@ -453,61 +994,64 @@ class Deck {
     }
 
 
-    onPlayerStateChange(event) {
+    onPlayerStateChange(state) {
         const previousState = this.playbackState;
-        this.playbackState = event.data;
-
-        if (this.isLoading && (event.data === YT.PlayerState.CUED || (event.data === YT.PlayerState.PLAYING && previousState !== YT.PlayerState.PLAYING))) {
-            this.isLoading = false;
-            if (this.dom.loadButton && this.dom.loadButton.querySelector('i.fa-spinner')) {
-                const loadButtonIcon = this.dom.loadButton.querySelector('i');
-                if (loadButtonIcon) {
-                    loadButtonIcon.classList.remove('fa-spinner', 'fa-spin');
-                    loadButtonIcon.classList.add('fa-plus-circle');
-                }
-                if (this.dom.youtubeUrlInput) {
-                    this.dom.loadButton.disabled = this.dom.youtubeUrlInput.value.trim() === '';
-                } else {
-                    this.dom.loadButton.disabled = true;
-                }
-            }
+        this.playbackState = state;
+
+        if (this.isLoading && (state === PLAYER_STATE.CUED || (state === PLAYER_STATE.PLAYING && previousState !== PLAYER_STATE.PLAYING))) {
+            this.setLoadingState(false);
         }
 
 
-        if (event.data === YT.PlayerState.PLAYING) {
-            if (previousState !== YT.PlayerState.PLAYING) {
-                if (this.player && typeof this.player.getDuration === 'function') {
+        // The shadow playhead follows pauses, but not the seeks and pauses of a running trick.
+        if (state === PLAYER_STATE.PLAYING) {
+            this.setSlipShadowRunning(true);
+        } else if ((state === PLAYER_STATE.PAUSED || state === PLAYER_STATE.CUED) && !this.stutterFx.activeFxType) {
+            this.setSlipShadowRunning(false);
+        }
+
+        if (state === PLAYER_STATE.PLAYING) {
+            if (previousState !== PLAYER_STATE.PLAYING) {
+                if (this.player) {
                     this.trackInfo.duration = this.player.getDuration();
                     if(this.dom.durationDisplay) this.dom.durationDisplay.textContent = formatTime(this.trackInfo.duration);
                     if(this.dom.seekSlider) this.dom.seekSlider.max = this.trackInfo.duration;
                     this.updateCueMarkers();
                     this.updateLoopRangeMarker();
+                    this.updateMixPointMarkers();
+                    this.renderVolumeEnvelope();
+                    this.updateBeatgridTicks();
                 }
             }
             this.startUpdateTimeLoop();
             this.checkAutoCrossfade();
         } else {
             this.stopUpdateTimeLoop();
-            if (this.stutterFx.activeFxType === 'loop' && event.data === YT.PlayerState.ENDED) {
+            // Stutter pauses the player on every step, which must not drop a pending action.
+            if (!this.stutterFx.activeFxType) this.cancelQuantizedAction();
+            if (this.stutterFx.activeFxType === 'loop' && state === PLAYER_STATE.ENDED) {
                  this.stopStutterFx();
             }
         }
          this.updateVUMeter();
 
-        if (event.data === YT.PlayerState.ENDED) {
+        if (state === PLAYER_STATE.ENDED) {
             if (this.loop.active && this.loop.in !== null && this.loop.out !== null && this.loop.in < this.loop.out) {
-                this.player.seekTo(this.loop.in, true);
+                this.player.seekTo(this.loop.in);
             } else {
                 this.resetLoop();
+                this.clearSlip(); // Nothing left to slip back to
+                // While Auto-DJ mixes from this queue, it decides what comes next.
+                const isAutoDjSource = mixer?.autoDj.active && mixer.autoDj.sourceDeckId === this.deckId;
+                if (this.trackQueue.length > 0 && !isAutoDjSource) this.loadNextFromQueue();
             }
             this.stopStutterFx();
         }
 
-         if (event.data === YT.PlayerState.CUED) {
-             this.playbackState = YT.PlayerState.PAUSED; // Treat CUED as PAUSED for UI consistency
-            if (this.player && typeof this.player.getVideoData === 'function' && typeof this.player.getDuration === 'function') {
-                const videoData = this.player.getVideoData();
-                this.trackInfo.title = videoData?.title || 'Track Loaded';
+         if (state === PLAYER_STATE.CUED) {
+             this.playbackState = PLAYER_STATE.PAUSED; // Treat CUED as PAUSED for UI consistency
+            if (this.player) {
+                this.trackInfo.title = this.player.getTitle() || 'Track Loaded';
                 this.trackInfo.duration = this.player.getDuration();
                 if(this.dom.trackTitleDisplay) {
                     this.dom.trackTitleDisplay.textContent = this.trackInfo.title;
@@ -517,37 +1061,55 @@ class Deck {
                 if(this.dom.seekSlider) this.dom.seekSlider.max = this.trackInfo.duration;
                 this.updateCueMarkers();
                 this.updateLoopRangeMarker();
+                this.updateMixPointMarkers();
+                this.renderVolumeEnvelope();
+                this.updateBeatgridTicks();
+                // Players may reset the rate for a new video, and the new one may support other rates.
+                this.applyPlaybackRate(this.playbackRate, false);
+                if (this.pendingLoadCue) this.cueLoadedTrack();
             }
          }
          this.updatePlaybackUI();
+         tracklistLogger?.update(); // Starting or stopping a track can change which one leads the mix
     }
 
-    onPlayerError(event) {
-        console.error(`${this.deckId} player error:`, event.data);
+    onPlayerError(errorCode) {
+        console.error(`${this.deckId} player error:`, errorCode);
         let errorMessage = `Error on ${this.deckId}: `;
-        switch (event.data) {
+        switch (errorCode) {
             case 2: errorMessage += "Invalid video ID."; break;
             case 5: errorMessage += "HTML5 player error."; break;
             case 100: errorMessage += "Video not found."; break;
             case 101: case 150: errorMessage += "Playback disabled by owner."; break;
+            case LOCAL_FILE_ERROR: errorMessage += "Could not play the audio file."; break;
             default: errorMessage += "Unknown error.";
         }
         showNotification(errorMessage, 'error');
+        this.pendingLoadCue = null; // The failed track never cues, and the next one must not inherit its cue
         this.resetDeckState();
         if (this.isLoading) {
-            this.isLoading = false;
-            if (this.dom.loadButton && this.dom.loadButton.querySelector('i.fa-spinner')) {
-                const loadButtonIcon = this.dom.loadButton.querySelector('i');
-                 if (loadButtonIcon) {
-                    loadButtonIcon.classList.remove('fa-spinner', 'fa-spin');
-                    loadButtonIcon.classList.add('fa-plus-circle');
-                }
-                if (this.dom.youtubeUrlInput) {
-                     this.dom.loadButton.disabled = this.dom.youtubeUrlInput.value.trim() === '';
-                } else {
-                    this.dom.loadButton.disabled = true;
-                }
+            this.setLoadingState(false);
+        }
+        if (mixer) mixer.onAutoDjLoadError(this);
+    }
+
+    /**
+     * Shows or clears the spinner on the load button while a track is loading.
+     * @param {boolean} isLoading
+     */
+    setLoadingState(isLoading) {
+        this.isLoading = isLoading;
+        const loadButtonIcon = this.dom.loadButton?.querySelector('i');
+        if (isLoading) {
+            if (loadButtonIcon) {
+                loadButtonIcon.classList.remove('fa-plus-circle');
+                loadButtonIcon.classList.add('fa-spinner', 'fa-spin');
             }
+            if (this.dom.loadButton) this.dom.loadButton.disabled = true;
+        } else if (loadButtonIcon && loadButtonIcon.classList.contains('fa-spinner')) {
+            loadButtonIcon.classList.remove('fa-spinner', 'fa-spin');
+            loadButtonIcon.classList.add('fa-plus-circle');
+            this.dom.loadButton.disabled = this.dom.youtubeUrlInput ? this.dom.youtubeUrlInput.value.trim() === '' : true;
         }
     }
 
@@ -559,32 +1121,26 @@ class Deck {
             return;
         }
 
-        this.isLoading = true;
-        const loadButtonIcon = this.dom.loadButton?.querySelector('i');
-        if (loadButtonIcon) {
-            loadButtonIcon.classList.remove('fa-plus-circle');
-            loadButtonIcon.classList.add('fa-spinner', 'fa-spin');
-        }
-        if (this.dom.loadButton) this.dom.loadButton.disabled = true;
-
+        this.setLoadingState(true);
 
-        // Condition: YT API must be globally ready, AND this deck's player instance must exist AND be ready
-        if (ytApiReady && this.player && this.playerReady && typeof this.player.cueVideoById === 'function') {
+        // Condition: YT API must be globally ready, AND this deck's YouTube player instance must exist AND be ready
+        if (ytApiReady && this.youtubeBackend.isReady()) {
+            this.useBackend(this.youtubeBackend);
             this.currentVideoId = videoId;
             console.log(`${this.deckId}: Player ready, calling cueVideoById for ${videoId}.`);
-            this.player.cueVideoById(videoId);
+            this.player.load(videoId);
             if(this.dom.deckElement) this.dom.deckElement.classList.add('track-loaded-flash');
             setTimeout(() => this.dom.deckElement?.classList.remove('track-loaded-flash'), 700);
             this.resetDeckState(false); // Reset some state but keep video ID
             this.loadTrackSettings();
         } else {
-            console.warn(`${this.deckId} player not ready, API not ready, or cueVideoById not available. Queuing ${videoId}. YT API Ready: ${ytApiReady}, Player Exists: ${!!this.player}, Player Ready: ${this.playerReady}`);
+            console.warn(`${this.deckId} player not ready, API not ready, or cueVideoById not available. Queuing ${videoId}. YT API Ready: ${ytApiReady}, Player Exists: ${this.youtubeBackend.isInitialized()}, Player Ready: ${this.youtubeBackend.isReady()}`);
             this.queuedVideoId = videoId;
             // If the API is ready but this specific player instance hasn't been created yet (e.g. for decks 3 & 4 initially),
             // AND it hasn't been marked as initialization attempted, try to initialize it.
             // onYouTubeIframeAPIReady will handle initial player creations.
             // This case is more for players created on demand (e.g. toggle to 4-deck view if API already ready)
-            if (ytApiReady && !this.player && !this.playerApiReadyAndPlayerInitialized) {
+            if (ytApiReady && !this.youtubeBackend.isInitialized() && !this.playerApiReadyAndPlayerInitialized) {
                  console.log(`${this.deckId}: YT API is ready, but this player object doesn't exist yet. Triggering initPlayer.`);
                  this.initPlayer(); // Attempt to create the YT.Player instance
             } else if (!ytApiReady) {
@@ -598,22 +1154,226 @@ class Deck {
         if (this.dom.youtubeUrlInput) this.dom.youtubeUrlInput.value = '';
     }
 
+    /**
+     * Adds YouTube videos to the end of this deck's queue.
+     * @param {string[]} videoIds
+     * @returns {number} How many were added.
+     */
+    addToQueue(videoIds) {
+        const room = MAX_QUEUE_LENGTH - this.trackQueue.length;
+        const toAdd = videoIds.filter(Boolean).slice(0, Math.max(0, room));
+        if (toAdd.length < videoIds.filter(Boolean).length) {
+            showNotification(`The queue on ${this.deckId} holds up to ${MAX_QUEUE_LENGTH} tracks.`, 'warning');
+        }
+        if (toAdd.length === 0) return 0;
+        this.trackQueue.push(...toAdd);
+        this.saveTrackQueue();
+        this.renderTrackQueue();
+        return toAdd.length;
+    }
+
+    /**
+     * Queues every YouTube URL or ID in the text, separated by spaces, commas or new lines.
+     * @param {string} text
+     */
+    addQueueUrls(text) {
+        const entries = (text || '').split(/[\s,]+/).filter(Boolean);
+        const videoIds = entries.map(entry => parseYouTubeUrl(entry));
+        const invalidCount = videoIds.filter(videoId => !videoId).length;
+        const added = this.addToQueue(videoIds);
+        if (invalidCount > 0) {
+            showNotification(`${invalidCount} entr${invalidCount === 1 ? 'y is' : 'ies are'} not a YouTube URL or ID and ${invalidCount === 1 ? 'was' : 'were'} skipped.`, 'warning');
+        } else if (added > 0) {
+            showNotification(`Queued ${added} track${added === 1 ? '' : 's'} on ${this.deckId}.`, 'success');
+        }
+        if (this.dom.queueUrlInput) this.dom.queueUrlInput.value = '';
+    }
+
+    /**
+     * Moves a queued track up (-1) or down (1) one place.
+     * @param {number} index
+     * @param {number} direction
+     */
+    moveQueuedTrack(index, direction) {
+        const targetIndex = index + Math.sign(direction);
+        if (index < 0 || index >= this.trackQueue.length || targetIndex < 0 || targetIndex >= this.trackQueue.length) return;
+        [this.trackQueue[index], this.trackQueue[targetIndex]] = [this.trackQueue[targetIndex], this.trackQueue[index]];
+        this.saveTrackQueue();
+        this.renderTrackQueue();
+    }
+
+    removeQueuedTrack(index) {
+        if (index < 0 || index >= this.trackQueue.length) return;
+        this.trackQueue.splice(index, 1);
+        this.saveTrackQueue();
+        this.renderTrackQueue();
+    }
+
+    clearTrackQueue() {
+        this.trackQueue = [];
+        this.saveTrackQueue();
+        this.renderTrackQueue();
+    }
+
+    setQueueAutoPlay(enabled) {
+        this.queueAutoPlay = !!enabled;
+        if (this.dom.queueAutoPlayButton) {
+            this.dom.queueAutoPlayButton.classList.toggle('active', this.queueAutoPlay);
+            this.dom.queueAutoPlayButton.setAttribute('aria-pressed', String(this.queueAutoPlay));
+        }
+    }
+
+    /**
+     * Loads the next queued track. Once it is cued it jumps to its first hot cue and, with
+     * auto-play on, starts playing.
+     * @returns {boolean} Whether there was a track to load.
+     */
+    loadNextFromQueue() {
+        if (this.trackQueue.length === 0) {
+            showNotification(`The queue on ${this.deckId} is empty.`, 'info');
+            return false;
+        }
+        this.loadAndCue(this.takeFromQueue(), this.queueAutoPlay);
+        return true;
+    }
+
+    /**
+     * Removes the next track from the queue without loading it, e.g. for Auto-DJ.
+     * @returns {string|null} Its video ID, or null when the queue is empty.
+     */
+    takeFromQueue() {
+        if (this.trackQueue.length === 0) return null;
+        const videoId = this.trackQueue.shift();
+        this.saveTrackQueue();
+        this.renderTrackQueue();
+        return videoId;
+    }
+
+    /**
+     * Loads a YouTube video that, once cued, waits at its mix-in point (or else its first hot cue)
+     * or starts playing from there.
+     * @param {string} videoId
+     * @param {boolean} autoPlay
+     */
+    loadAndCue(videoId, autoPlay) {
+        this.pendingLoadCue = { autoPlay };
+        this.loadVideoById(videoId);
+    }
+
+    /** Runs once a track loaded through loadAndCue is cued. */
+    cueLoadedTrack() {
+        const { autoPlay } = this.pendingLoadCue;
+        this.pendingLoadCue = null;
+        const firstCue = this.cuePoints.find(cue => cue !== null);
+        const startTime = this.mixPoints.in !== null ? this.mixPoints.in : firstCue?.time ?? null;
+        if (startTime !== null) this.player.seekTo(startTime);
+        if (autoPlay) {
+            this.player.play();
+        } else if (startTime !== null) {
+            this.player.pause();
+        }
+    }
+
+    saveTrackQueue() {
+        if (storageManager) storageManager.saveDeckQueue(this.deckId, this.trackQueue);
+    }
+
+    renderTrackQueue() {
+        if (mixer?.autoDj.active && mixer.autoDj.sourceDeckId === this.deckId) mixer.updateAutoDjUI();
+        const list = this.dom.queueList;
+        if (!list) return;
+        list.innerHTML = '';
+        if (this.dom.queueLoadNextButton) this.dom.queueLoadNextButton.disabled = this.trackQueue.length === 0;
+        if (this.trackQueue.length === 0) {
+            list.innerHTML = '<li class="track-queue-empty">Queue is empty.</li>';
+            return;
+        }
+        this.trackQueue.forEach((videoId, index) => {
+            const li = document.createElement('li');
+            li.dataset.queueIndex = index;
+
+            const positionSpan = document.createElement('span');
+            positionSpan.className = 'track-queue-position';
+            positionSpan.textContent = `${index + 1}.`;
+
+            const idSpan = document.createElement('span');
+            idSpan.className = 'track-queue-video-id';
+            idSpan.textContent = videoId;
+            idSpan.title = `YouTube video ${videoId}`;
+
+            const upButton = document.createElement('button');
+            upButton.className = 'track-queue-up-button small-button';
+            upButton.innerHTML = '<i class="fas fa-arrow-up"></i>';
+            upButton.title = 'Move up';
+            upButton.disabled = index === 0;
+
+            const downButton = document.createElement('button');
+            downButton.className = 'track-queue-down-button small-button';
+            downButton.innerHTML = '<i class="fas fa-arrow-down"></i>';
+            downButton.title = 'Move down';
+            downButton.disabled = index === this.trackQueue.length - 1;
+
+            const removeButton = document.createElement('button');
+            removeButton.className = 'track-queue-remove-button small-button';
+            removeButton.innerHTML = '<i class="fas fa-times"></i>';
+            removeButton.title = `Remove ${videoId} from the queue`;
+
+            li.append(positionSpan, idSpan, upButton, downButton, removeButton);
+            list.appendChild(li);
+        });
+    }
+
+    /**
+     * Loads an MP3/WAV/FLAC file from the user's disk onto this deck.
+     * @param {File} file - File picked through the deck's local file input.
+     */
+    loadLocalFile(file) {
+        if (!file) return;
+        const extension = file.name.split('.').pop().toLowerCase();
+        if (!LOCAL_FILE_EXTENSIONS.includes(extension)) {
+            showNotification(`Unsupported file type on ${this.deckId}. Use ${LOCAL_FILE_EXTENSIONS.join(', ').toUpperCase()}.`, 'error');
+            return;
+        }
+
+        if (!this.localBackend) {
+            this.localBackend = new LocalFilePlayerBackend(this.backendEvents);
+        }
+        this.useBackend(this.localBackend);
+        this.setLoadingState(true);
+        this.queuedVideoId = null;
+        this.currentVideoId = `${LOCAL_TRACK_ID_PREFIX}${file.name}:${file.size}`;
+        this.player.load(file);
+        if(this.dom.deckElement) this.dom.deckElement.classList.add('track-loaded-flash');
+        setTimeout(() => this.dom.deckElement?.classList.remove('track-loaded-flash'), 700);
+        this.resetDeckState(false); // Reset some state but keep the track ID
+        this.loadTrackSettings();
+    }
+
 
     resetDeckState(fullReset = true) {
+        this.cancelQuantizedAction();
+        this.clearSlip();
         this.stopUpdateTimeLoop();
         this.stopStutterFx();
+        this.stopTranceGate();
         this.resetLoop();
+        this.transitionLoopBackup = null;
 
         this.trackInfo = { title: '', duration: 0, currentTime: 0 };
         this.playbackState = -1;
 
         if (fullReset || !this.currentVideoId) {
             this.cuePoints = new Array(MAX_CUE_POINTS).fill(null);
+            this.savedLoops = [];
+            this.mixPoints = { in: null, out: null };
+            this.volumeEnvelope = [];
         }
-        this.dom.cueTimeInputs.forEach(input => {
-            if (input) input.value = ''; input.placeholder = '-:--';
-        });
+        this.updateCueControls();
         this.updateCueMarkers();
+        this.renderSavedLoops();
+        this.updateMixPointControls();
+        this.renderVolumeEnvelope();
+        if (fullReset) this.resetEditHistory();
 
         if(this.dom.trackTitleDisplay) {
             this.dom.trackTitleDisplay.textContent = 'No track loaded';
@@ -631,6 +1391,7 @@ class Deck {
         if (fullReset) {
             if (this.dom.bpmInput) this.dom.bpmInput.value = '';
             this.bpm = null;
+            this.beatgrid = { offset: 0, beatsPerBar: DEFAULT_BEATS_PER_BAR };
             this.loop.selectedBeatLoopLength = null;
             this.currentVideoId = null;
             // this.queuedVideoId = null; // Do not clear queuedVideoId here, loadVideoById might need it
@@ -641,6 +1402,7 @@ class Deck {
         }
         this.updatePlaybackUI();
         this.updateLoopRangeMarker();
+        this.updateBeatgridControls();
         this.updateActiveBeatLoopButton();
         this.updateVUMeter(0);
     }
@@ -649,13 +1411,13 @@ class Deck {
     startUpdateTimeLoop() {
         this.stopUpdateTimeLoop();
         this.updateInterval = setInterval(() => {
-            if (!this.playerReady || !this.player || typeof this.player.getCurrentTime !== 'function') {
+            if (!this.playerReady || !this.player) {
                 this.stopUpdateTimeLoop();
                 return;
             }
 
             const currentTime = this.player.getCurrentTime();
-            const currentState = this.player.getPlayerState();
+            const currentState = this.player.getState();
 
             if (!this.isDraggingSlider) {
                 if (this.stutterFx.activeFxType !== 'loop') {
@@ -666,14 +1428,20 @@ class Deck {
             }
 
             if (this.loop.active && this.loop.out !== null && currentTime >= this.loop.out && !this.stutterFx.activeFxType) {
-                if (this.player && typeof this.player.seekTo === 'function') {
-                    this.player.seekTo(this.loop.in, true);
+                if (this.player) {
+                    // Carry the overshoot past Loop Out into the next pass so the loop stays on the beat.
+                    // It grows with the playback rate, as the playhead moves further between checks.
+                    const overshoot = (currentTime - this.loop.out) % (this.loop.out - this.loop.in);
+                    this.player.seekTo(this.loop.in + overshoot);
                 }
             }
 
+            // The envelope changes the level as the track plays, not just when a fader moves.
+            if (mixer && this.volumeEnvelope.length && !this.envelopeBypassed) mixer.updateDeckVolume(this.deckNumber);
             this.updateVUMeter();
+            this.updateSlipMarker();
 
-            if (currentState === YT.PlayerState.PLAYING && !this.stutterFx.activeFxType) {
+            if (currentState === PLAYER_STATE.PLAYING && !this.stutterFx.activeFxType) {
                 this.checkAutoCrossfade();
             }
 
@@ -687,9 +1455,9 @@ class Deck {
     }
 
     updatePlaybackUI() {
-        if (this.playerReady && this.player && typeof this.player.getVideoData === 'function') {
-            const videoData = this.player.getVideoData();
-            this.trackInfo.title = videoData?.title ? videoData.title : (this.currentVideoId ? 'Loading...' : 'No track loaded');
+        if (this.playerReady && this.player) {
+            const title = this.player.getTitle();
+            this.trackInfo.title = title ? title : (this.currentVideoId ? 'Loading...' : 'No track loaded');
         } else {
              this.trackInfo.title = this.currentVideoId ? 'Loading...' : (this.queuedVideoId ? 'Queued...' : 'No track loaded');
         }
@@ -705,9 +1473,9 @@ class Deck {
             let showAsPlaying;
 
             if (this.stutterFx.activeFxType) {
-                showAsPlaying = this.stutterFx.originalPlayerState === YT.PlayerState.PLAYING;
+                showAsPlaying = this.stutterFx.originalPlayerState === PLAYER_STATE.PLAYING;
             } else {
-                showAsPlaying = this.playbackState === YT.PlayerState.PLAYING;
+                showAsPlaying = this.playbackState === PLAYER_STATE.PLAYING;
             }
 
             if (showAsPlaying) {
@@ -728,110 +1496,437 @@ class Deck {
 
 
     updateVolume() {
-        if (this.playerReady && this.player && typeof this.player.setVolume === 'function') {
-            this.player.setVolume(Math.round(this.effectiveVolume));
+        if (this.playerReady && this.player) {
+            this.player.setVolume(Math.round(this.getOutputVolume()));
         }
         this.updateVUMeter();
     }
 
+    /**
+     * The mixer's effective volume with this deck's own FX applied on top. The trance gate
+     * multiplies rather than replaces it, so fader moves keep working while the gate runs.
+     * @returns {number}
+     */
+    getOutputVolume() {
+        if (this.gateFx.active && !this.gateFx.isOpen) return 0;
+        return this.effectiveVolume * this.stutterFx.volumeFactor;
+    }
+
     setEffectiveVolume(volume) {
         this.effectiveVolume = Math.max(0, Math.min(100, volume));
         this.updateVolume();
     }
 
-    updateVolumeFromSlider() {
-        this.intendedVolume = parseInt(this.dom.volumeSlider.value, 10);
-        if (mixer) {
-            mixer.updateAllDeckVolumes();
-        }
+    /**
+     * Sets the track's gain trim, which evens out loudness between uploads without moving the
+     * channel fader. Saved with the track settings.
+     * @param {number|string} db - Clamped to +/- GAIN_TRIM_RANGE_DB.
+     */
+    setGainTrim(db) {
+        const value = parseFloat(db);
+        this.gainTrimDb = isNaN(value) ? 0 : Math.max(-GAIN_TRIM_RANGE_DB, Math.min(GAIN_TRIM_RANGE_DB, value));
+        this.updateGainTrimUI();
+        if (mixer) mixer.updateAllDeckVolumes();
+        this.saveCurrentTrackSettings();
     }
 
-    updateVUMeter(levelOverride = null) {
-        if (!this.dom.vuMeterBar) return;
-        let levelPercentage;
-        if (levelOverride !== null) {
-            levelPercentage = levelOverride;
-        } else {
-            levelPercentage = (this.playerReady && (this.playbackState === YT.PlayerState.PLAYING || this.stutterFx.activeFxType))
-                              ? this.effectiveVolume
-                              : 0;
-        }
-        this.dom.vuMeterBar.style.setProperty('--vu-level', `${levelPercentage}%`);
+    getGainTrimFactor() {
+        return Math.pow(10, this.gainTrimDb / 20);
+    }
+
+    updateGainTrimUI() {
+        if (this.dom.gainTrimSlider) this.dom.gainTrimSlider.value = this.gainTrimDb;
+        if (this.dom.gainTrimValue) this.dom.gainTrimValue.textContent = `${this.gainTrimDb > 0 ? '+' : ''}${this.gainTrimDb.toFixed(1)} dB`;
     }
 
     /**
-     * Sets a cue point at the given index.
-     * @param {number} cueIndex - The index of the cue point (0-2).
-     * @param {number|null} time - Optional time in seconds. If null, uses current player time.
+     * Level factor of the track's volume envelope at `time`: straight lines between breakpoints,
+     * held flat before the first and after the last. 1 without breakpoints or while bypassed.
+     * @param {number} [time] - Track time; defaults to the playhead.
+     * @returns {number}
      */
-    setCuePoint(cueIndex, time = null) {
-        if (cueIndex < 0 || cueIndex >= MAX_CUE_POINTS) {
-            console.error(`Invalid cueIndex: ${cueIndex} for ${this.deckId}`);
-            showNotification('Invalid cue point index.', 'error');
-            return;
-        }
-        if (!this.playerReady || !this.currentVideoId || typeof this.player.getCurrentTime !== 'function') {
-            showNotification(`Load a track first on ${this.deckId} to set cue point ${cueIndex + 1}.`, 'warning');
-            return;
-        }
+    getEnvelopeGain(time = null) {
+        const points = this.volumeEnvelope;
+        if (this.envelopeBypassed || !points.length) return 1;
+        if (time === null) time = this.playerReady ? this.player.getCurrentTime() : 0;
+        if (time <= points[0].time) return points[0].gain;
+        const nextIndex = points.findIndex(point => point.time > time);
+        if (nextIndex === -1) return points[points.length - 1].gain;
+        const prev = points[nextIndex - 1];
+        const next = points[nextIndex];
+        return prev.gain + (next.gain - prev.gain) * ((time - prev.time) / (next.time - prev.time));
+    }
 
-        let newCueTime;
-        if (time === null) {
-            newCueTime = this.player.getCurrentTime();
-        } else {
-            newCueTime = time;
-        }
+    /** Breakpoint for a pointer position over the envelope editor. */
+    getEnvelopePointAt(event) {
+        const rect = this.dom.envelopeEditor.getBoundingClientRect();
+        const x = rect.width > 0 ? Math.max(0, Math.min(1, (event.clientX - rect.left) / rect.width)) : 0;
+        const y = rect.height > 0 ? Math.max(0, Math.min(1, (event.clientY - rect.top) / rect.height)) : 0;
+        return { time: x * this.trackInfo.duration, gain: (1 - y) * VOLUME_ENVELOPE_MAX_GAIN };
+    }
 
-        if (isNaN(newCueTime) || newCueTime < 0 || (this.trackInfo.duration > 0 && newCueTime > this.trackInfo.duration)) {
-            showNotification(`Invalid time for cue point ${cueIndex + 1}.`, 'error');
-            const prevCueTime = this.cuePoints[cueIndex];
-            if (this.dom.cueTimeInputs[cueIndex]) {
-                this.dom.cueTimeInputs[cueIndex].value = prevCueTime !== null ? formatTime(prevCueTime) : '';
-                 if(prevCueTime === null) this.dom.cueTimeInputs[cueIndex].placeholder = '-:--';
+    /**
+     * Editor pointer handling: pressing a breakpoint picks it up, pressing anywhere else adds one
+     * there and picks that up. Dragging keeps a breakpoint between its neighbours.
+     */
+    onEnvelopePointerDown(event) {
+        if (!this.currentVideoId || !(this.trackInfo.duration > 0) || event.button > 0) return;
+        const handle = event.target.closest('.volume-envelope-point');
+        let index;
+        if (handle) {
+            index = parseInt(handle.dataset.pointIndex, 10);
+        } else {
+            if (this.volumeEnvelope.length >= MAX_VOLUME_ENVELOPE_POINTS) {
+                showNotification(`The envelope holds up to ${MAX_VOLUME_ENVELOPE_POINTS} breakpoints.`, 'warning');
+                return;
             }
-            return;
+            const point = this.getEnvelopePointAt(event);
+            index = this.volumeEnvelope.findIndex(existing => existing.time > point.time);
+            if (index === -1) index = this.volumeEnvelope.length;
+            this.volumeEnvelope.splice(index, 0, point);
+            this.renderVolumeEnvelope();
         }
+        this.envelopeDrag = index;
+        this.dom.envelopeEditor.setPointerCapture?.(event.pointerId);
+        event.preventDefault();
+    }
 
-        this.cuePoints[cueIndex] = this.snapToBeat(newCueTime);
+    onEnvelopePointerMove(event) {
+        if (this.envelopeDrag === null) return;
+        const index = this.envelopeDrag;
+        const point = this.getEnvelopePointAt(event);
+        const minTime = index > 0 ? this.volumeEnvelope[index - 1].time : 0;
+        const maxTime = index < this.volumeEnvelope.length - 1 ? this.volumeEnvelope[index + 1].time : this.trackInfo.duration;
+        this.volumeEnvelope[index] = { time: Math.max(minTime, Math.min(maxTime, point.time)), gain: point.gain };
+        this.renderVolumeEnvelope();
+        if (mixer) mixer.updateDeckVolume(this.deckNumber);
+    }
 
-        if (this.dom.cueTimeInputs[cueIndex]) {
-            this.dom.cueTimeInputs[cueIndex].value = formatTime(this.cuePoints[cueIndex]);
-        }
+    onEnvelopePointerUp() {
+        if (this.envelopeDrag === null) return;
+        this.envelopeDrag = null;
+        if (mixer) mixer.updateDeckVolume(this.deckNumber);
+        this.saveCurrentTrackSettings();
+    }
 
-        this.updateCueMarkers();
+    removeEnvelopePoint(index) {
+        if (index < 0 || index >= this.volumeEnvelope.length) return;
+        this.volumeEnvelope.splice(index, 1);
+        this.renderVolumeEnvelope();
+        if (mixer) mixer.updateDeckVolume(this.deckNumber);
         this.saveCurrentTrackSettings();
-        showNotification(`Cue point ${cueIndex + 1} set to ${formatTime(this.cuePoints[cueIndex])} on ${this.deckId}`, 'success');
     }
 
-    /**
-     * Jumps to the cue point at the given index.
-     * @param {number} cueIndex - The index of the cue point (0-2).
-     */
-    jumpToCuePoint(cueIndex) {
-        if (cueIndex < 0 || cueIndex >= MAX_CUE_POINTS) {
-            console.error(`Invalid cueIndex: ${cueIndex} for ${this.deckId}`);
-            showNotification('Invalid cue point index.', 'error');
-            return;
-        }
-        if (!this.playerReady || typeof this.player.seekTo !== 'function') {
+    clearVolumeEnvelope() {
+        if (!this.volumeEnvelope.length) return;
+        this.volumeEnvelope = [];
+        this.renderVolumeEnvelope();
+        if (mixer) mixer.updateDeckVolume(this.deckNumber);
+        this.saveCurrentTrackSettings();
+        showNotification(`Volume envelope cleared on ${this.deckId}.`, 'info');
+    }
+
+    toggleEnvelopeBypass() {
+        this.envelopeBypassed = !this.envelopeBypassed;
+        this.renderVolumeEnvelope();
+        if (mixer) mixer.updateDeckVolume(this.deckNumber);
+        showNotification(`Volume envelope ${this.envelopeBypassed ? 'bypassed' : 'active'} on ${this.deckId}.`, 'info');
+    }
+
+    renderVolumeEnvelope() {
+        const editor = this.dom.envelopeEditor;
+        if (!editor) return;
+        editor.querySelectorAll('.volume-envelope-point').forEach(handle => handle.remove());
+        editor.classList.toggle('bypassed', this.envelopeBypassed);
+        if (this.dom.envelopeBypassButton) {
+            this.dom.envelopeBypassButton.classList.toggle('active', this.envelopeBypassed);
+            this.dom.envelopeBypassButton.setAttribute('aria-pressed', String(this.envelopeBypassed));
+        }
+        const duration = this.trackInfo.duration;
+        const points = duration > 0 ? this.volumeEnvelope : [];
+        const toY = (gain) => (100 - (gain / VOLUME_ENVELOPE_MAX_GAIN) * 100).toFixed(2);
+        if (this.dom.envelopeLine) {
+            const linePoints = points.length
+                ? [`0,${toY(points[0].gain)}`, ...points.map(point => `${((point.time / duration) * 100).toFixed(2)},${toY(point.gain)}`), `100,${toY(points[points.length - 1].gain)}`]
+                : [`0,${toY(1)}`, `100,${toY(1)}`];
+            this.dom.envelopeLine.setAttribute('points', linePoints.join(' '));
+        }
+        points.forEach((point, index) => {
+            const handle = document.createElement('div');
+            handle.className = 'volume-envelope-point';
+            handle.dataset.pointIndex = index;
+            handle.style.left = `${(point.time / duration) * 100}%`;
+            handle.style.top = `${toY(point.gain)}%`;
+            handle.title = `${formatTime(point.time)}: ${point.gain > 0 ? `${(20 * Math.log10(point.gain)).toFixed(1)} dB` : 'silent'}. Drag to move, double-click to remove.`;
+            editor.appendChild(handle);
+        });
+    }
+
+    toggleMute() {
+        this.isMuted = !this.isMuted;
+        if (mixer) mixer.updateAllDeckVolumes();
+        showNotification(`${this.deckId} ${this.isMuted ? 'muted' : 'unmuted'}.`, 'info');
+    }
+
+    // Soloing any deck silences the decks that are not soloed; their faders stay where they are.
+    toggleSolo() {
+        this.isSoloed = !this.isSoloed;
+        if (mixer) mixer.updateAllDeckVolumes();
+        showNotification(`Solo ${this.isSoloed ? 'ON' : 'OFF'} for ${this.deckId}.`, 'info');
+    }
+
+    /**
+     * @param {boolean} silencedBySolo - Whether another deck's solo is silencing this one.
+     * @param {boolean} levelCapped - Whether trim and envelope ask for more than full volume.
+     */
+    updateChannelStateUI(silencedBySolo = false, levelCapped = false) {
+        [[this.dom.muteButton, this.isMuted], [this.dom.soloButton, this.isSoloed]].forEach(([btn, isActive]) => {
+            if (!btn) return;
+            btn.classList.toggle('active', isActive);
+            btn.setAttribute('aria-pressed', String(isActive));
+        });
+        this.dom.vuMeterBar?.parentElement?.classList.toggle('silenced', this.isMuted || silencedBySolo);
+        if (this.dom.gainTrimValue) {
+            this.dom.gainTrimValue.classList.toggle('level-capped', levelCapped);
+            this.dom.gainTrimValue.title = levelCapped ? `Capped at full volume: the player can't go louder, so part of this trim or envelope boost isn't heard. Lower the deck volume to make room.` : '';
+        }
+    }
+
+    updateVolumeFromSlider() {
+        this.intendedVolume = parseInt(this.dom.volumeSlider.value, 10);
+        if (mixer) {
+            mixer.updateAllDeckVolumes();
+        }
+    }
+
+    setChannelVolume(volume) {
+        if (!this.dom.volumeSlider) return;
+        this.dom.volumeSlider.value = volume;
+        this.updateVolumeFromSlider();
+    }
+
+    /** Starts or pauses the track, ending any stutter FX first. */
+    setPlaying(playing) {
+        if (!this.playerReady || !this.player) return;
+        this.stopStutterFx(false);
+        if (playing) {
+            this.player.play();
+        } else {
+            this.player.pause();
+        }
+    }
+
+    /** Moves the playhead, releasing an active loop it leaves and any slip shadow. */
+    seekTo(seekTime) {
+        if (!this.playerReady || !this.player) return;
+        this.player.seekTo(seekTime);
+        this.clearSlip();
+
+        if (this.loop.active && (seekTime < this.loop.in || seekTime >= this.loop.out)) {
+            this.resetLoop();
+        }
+        this.trackInfo.currentTime = seekTime;
+        if(this.dom.currentTimeDisplay) this.dom.currentTimeDisplay.textContent = formatTime(seekTime);
+    }
+
+    /** Logs a performance action to the set recorder; see SET_RECORDER_DECK_ACTIONS. */
+    recordAction(action, ...args) {
+        setRecorder?.record(action, args, this.deckNumber);
+    }
+
+    updateVUMeter(levelOverride = null) {
+        if (!this.dom.vuMeterBar) return;
+        let levelPercentage;
+        if (levelOverride !== null) {
+            levelPercentage = levelOverride;
+        } else {
+            levelPercentage = (this.playerReady && (this.playbackState === PLAYER_STATE.PLAYING || this.stutterFx.activeFxType))
+                              ? this.getOutputVolume()
+                              : 0;
+        }
+        this.dom.vuMeterBar.style.setProperty('--vu-level', `${levelPercentage}%`);
+    }
+
+    /**
+     * Sets a hot cue at the given index, keeping its color, label and mode if it was already set.
+     * @param {number} cueIndex - The index of the cue point (0-7).
+     * @param {number|null} time - Optional time in seconds. If null, uses current player time.
+     */
+    setCuePoint(cueIndex, time = null) {
+        if (cueIndex < 0 || cueIndex >= MAX_CUE_POINTS) {
+            console.error(`Invalid cueIndex: ${cueIndex} for ${this.deckId}`);
+            showNotification('Invalid cue point index.', 'error');
+            return;
+        }
+        if (!this.playerReady || !this.currentVideoId) {
+            showNotification(`Load a track first on ${this.deckId} to set cue point ${cueIndex + 1}.`, 'warning');
+            return;
+        }
+
+        let newCueTime;
+        if (time === null) {
+            newCueTime = this.player.getCurrentTime();
+        } else {
+            newCueTime = time;
+        }
+
+        if (isNaN(newCueTime) || newCueTime < 0 || (this.trackInfo.duration > 0 && newCueTime > this.trackInfo.duration)) {
+            showNotification(`Invalid time for cue point ${cueIndex + 1}.`, 'error');
+            this.updateCueControls();
+            return;
+        }
+
+        const existingCue = this.cuePoints[cueIndex];
+        this.cuePoints[cueIndex] = normalizeCuePoint({ ...existingCue, time: this.snapToBeat(newCueTime) }, cueIndex);
+
+        this.updateCueControls();
+        this.updateCueMarkers();
+        this.saveCurrentTrackSettings();
+        showNotification(`Cue point ${cueIndex + 1} set to ${formatTime(this.cuePoints[cueIndex].time)} on ${this.deckId}`, 'success');
+    }
+
+    /**
+     * Clears the hot cue at the given index.
+     * @param {number} cueIndex - The index of the cue point (0-7).
+     */
+    clearCuePoint(cueIndex) {
+        this.cuePoints[cueIndex] = null;
+        this.updateCueControls();
+        this.updateCueMarkers();
+        this.saveCurrentTrackSettings();
+        showNotification(`Cue point ${cueIndex + 1} cleared on ${this.deckId}`, 'info');
+    }
+
+    /**
+     * Jumps to the hot cue at the given index and then plays, pauses or
+     * starts the cue's saved loop depending on its mode.
+     * @param {number} cueIndex - The index of the cue point (0-7).
+     */
+    jumpToCuePoint(cueIndex) {
+        if (cueIndex < 0 || cueIndex >= MAX_CUE_POINTS) {
+            console.error(`Invalid cueIndex: ${cueIndex} for ${this.deckId}`);
+            showNotification('Invalid cue point index.', 'error');
+            return;
+        }
+        if (!this.playerReady) {
             showNotification(`Player not ready on ${this.deckId}.`, 'warning');
             return;
         }
-        const cueTime = this.cuePoints[cueIndex];
-        if (cueTime === null) {
+        const cue = this.cuePoints[cueIndex];
+        if (cue === null) {
             showNotification(`Cue point ${cueIndex + 1} is not set on ${this.deckId}.`, 'warning');
             return;
         }
+        if (this.deferToQuantize(`Cue ${cueIndex + 1}`, () => this.jumpToCuePoint(cueIndex))) return;
 
-        const wasPlaying = this.playbackState === YT.PlayerState.PLAYING;
         this.stopStutterFx(false);
+        this.player.seekTo(cue.time);
+
+        if (cue.mode === CUE_MODES.LOOP) {
+            this.loop.in = cue.time;
+            this.loop.out = cue.time + cue.loopLength;
+            if (this.trackInfo.duration > 0) this.loop.out = Math.min(this.loop.out, this.trackInfo.duration);
+            this.loop.active = this.loop.out > this.loop.in;
+            if(this.dom.loopInInput) this.dom.loopInInput.value = this.loop.in.toFixed(1);
+            if(this.dom.loopOutInput) this.dom.loopOutInput.value = this.loop.out.toFixed(1);
+            this.updateLoopToggleButton();
+            this.updateLoopRangeMarker();
+            this.player.play();
+        } else if (cue.mode === CUE_MODES.PAUSE) {
+            this.player.pause();
+            this.resetLoop();
+        } else {
+            this.player.play();
+            this.resetLoop();
+        }
+    }
+
+    /**
+     * Applies an edit from the cue editor to the hot cue currently being edited.
+     * @param {{color?: string, label?: string, mode?: string}} changes
+     */
+    updateCueProperties(changes) {
+        const cueIndex = this.editingCueIndex;
+        const cue = this.cuePoints[cueIndex];
+        if (!cue) {
+            showNotification(`Set cue point ${cueIndex + 1} on ${this.deckId} before editing it.`, 'warning');
+            this.updateCueEditor();
+            return;
+        }
 
-        this.player.seekTo(cueTime, true);
+        const updatedCue = { ...cue, ...changes };
+        if (changes.mode === CUE_MODES.LOOP) {
+            const loopLength = this.getCurrentLoopLength();
+            if (!loopLength) {
+                showNotification('Set a loop or select a beat loop with BPM first to save it on this cue.', 'warning');
+                this.updateCueEditor();
+                return;
+            }
+            updatedCue.loopLength = loopLength;
+        }
 
-        if (wasPlaying || this.playbackState === YT.PlayerState.PAUSED || this.playbackState === YT.PlayerState.CUED) {
-            this.player.playVideo();
+        this.cuePoints[cueIndex] = normalizeCuePoint(updatedCue, cueIndex);
+        this.updateCueControls();
+        this.updateCueMarkers();
+        this.saveCurrentTrackSettings();
+        if (changes.mode === CUE_MODES.LOOP) {
+            showNotification(`Cue ${cueIndex + 1} will start a ${updatedCue.loopLength.toFixed(2)}s loop on ${this.deckId}.`, 'info');
         }
-        this.resetLoop();
+    }
+
+    /**
+     * Length in seconds of the deck's current loop, or of the selected beat loop if no loop is set.
+     * @returns {number|null}
+     */
+    getCurrentLoopLength() {
+        if (this.loop.in !== null && this.loop.out !== null && this.loop.out > this.loop.in) {
+            return this.loop.out - this.loop.in;
+        }
+        if (this.loop.selectedBeatLoopLength && this.bpm) {
+            return this.loop.selectedBeatLoopLength * (60 / this.bpm);
+        }
+        return null;
+    }
+
+    /**
+     * Selects which hot cue the cue editor shows.
+     * @param {number} cueIndex - The index of the cue point (0-7).
+     */
+    selectCueForEditing(cueIndex) {
+        this.editingCueIndex = cueIndex;
+        this.updateCueControls();
+    }
+
+    /**
+     * Refreshes the cue time inputs, the jump buttons' labels and colors, and the cue editor.
+     */
+    updateCueControls() {
+        for (let i = 0; i < MAX_CUE_POINTS; i++) {
+            const cue = this.cuePoints[i];
+            const input = this.dom.cueTimeInputs[i];
+            if (input) {
+                input.value = cue ? formatTime(cue.time) : '';
+                if (!cue) input.placeholder = '-:--';
+            }
+            const jumpButton = this.dom.cueJumpButtons[i];
+            if (jumpButton) {
+                const labelSpan = jumpButton.querySelector('.cue-label');
+                if (labelSpan) labelSpan.textContent = cue && cue.label ? cue.label : `Cue ${i + 1}`;
+                jumpButton.style.setProperty('--cue-color', cue ? cue.color : CUE_COLORS[i]);
+                jumpButton.classList.toggle('cue-set', !!cue);
+                jumpButton.dataset.mode = cue ? cue.mode : '';
+            }
+            this.dom.cueEditButtons[i]?.classList.toggle('active', i === this.editingCueIndex);
+        }
+        this.updateCueEditor();
+    }
+
+    updateCueEditor() {
+        const cue = this.cuePoints[this.editingCueIndex];
+        if (this.dom.cueEditorTitle) this.dom.cueEditorTitle.textContent = `Cue ${this.editingCueIndex + 1}`;
+        if (this.dom.cueColorInput) this.dom.cueColorInput.value = cue ? cue.color : CUE_COLORS[this.editingCueIndex];
+        if (this.dom.cueLabelInput) this.dom.cueLabelInput.value = cue ? cue.label : '';
+        if (this.dom.cueModeSelect) this.dom.cueModeSelect.value = cue ? cue.mode : CUE_MODES.PLAY;
     }
 
     /**
@@ -842,14 +1937,15 @@ class Deck {
 
         for (let i = 0; i < MAX_CUE_POINTS; i++) {
             const marker = this.dom.cuePointMarkers[i];
-            const cueTime = this.cuePoints[i];
+            const cue = this.cuePoints[i];
             if (!marker) continue;
 
-            if (cueTime !== null && this.trackInfo.duration > 0) {
-                const percentage = (cueTime / this.trackInfo.duration) * 100;
+            if (cue !== null && this.trackInfo.duration > 0) {
+                const percentage = (cue.time / this.trackInfo.duration) * 100;
                 marker.style.left = `${percentage}%`;
+                marker.style.backgroundColor = cue.color;
                 marker.style.display = 'block';
-                marker.title = `Cue ${i + 1}: ${formatTime(cueTime)}`;
+                marker.title = `Cue ${i + 1}${cue.label ? ` (${cue.label})` : ''}: ${formatTime(cue.time)}`;
             } else {
                 marker.style.display = 'none';
             }
@@ -858,10 +1954,12 @@ class Deck {
 
 
     setLoopIn(time = null) {
-        if (!this.playerReady || !this.currentVideoId || typeof this.player.getCurrentTime !== 'function') {
+        if (!this.playerReady || !this.currentVideoId) {
              showNotification('Load a track first to set loop points.', 'warning');
              return;
         }
+        // Typed times are exact already; only presses at the playhead wait for the grid.
+        if (time === null && this.deferToQuantize('Loop In', () => this.setLoopIn())) return;
         const newLoopInTime = time !== null ? parseFloat(time) : this.player.getCurrentTime();
         if (isNaN(newLoopInTime) || newLoopInTime < 0 || (this.trackInfo.duration > 0 && newLoopInTime > this.trackInfo.duration)) {
             showNotification('Invalid loop-in time.', 'error');
@@ -876,10 +1974,11 @@ class Deck {
     }
 
     setLoopOut(time = null) {
-        if (!this.playerReady || !this.currentVideoId || typeof this.player.getCurrentTime !== 'function') {
+        if (!this.playerReady || !this.currentVideoId) {
             showNotification('Load a track first to set loop points.', 'warning');
             return;
         }
+        if (time === null && this.deferToQuantize('Loop Out', () => this.setLoopOut())) return;
         const newLoopOutTime = time !== null ? parseFloat(time) : this.player.getCurrentTime();
          if (isNaN(newLoopOutTime) || newLoopOutTime < 0 || (this.trackInfo.duration > 0 && newLoopOutTime > this.trackInfo.duration)) {
             showNotification('Invalid loop-out time.', 'error');
@@ -903,13 +2002,12 @@ class Deck {
         if (this.loop.in === null || this.loop.out === null || this.loop.in >= this.loop.out) {
             if (this.loop.in !== null && this.loop.selectedBeatLoopLength && this.bpm) {
                 const beats = this.loop.selectedBeatLoopLength;
-                const beatDuration = 60 / this.bpm;
-                const loopDuration = beats * beatDuration;
-                let calculatedLoopOut = this.snapToBeat(this.loop.in + loopDuration);
-                if (this.trackInfo.duration > 0 && calculatedLoopOut > this.trackInfo.duration) calculatedLoopOut = this.trackInfo.duration;
+                const beatLoop = this.getBeatLoopRange(this.loop.in, beats);
 
-                if (calculatedLoopOut > this.loop.in) {
-                    this.loop.out = calculatedLoopOut;
+                if (beatLoop.out > beatLoop.in) {
+                    this.loop.in = beatLoop.in;
+                    this.loop.out = beatLoop.out;
+                    if(this.dom.loopInInput) this.dom.loopInInput.value = this.loop.in.toFixed(1);
                     if(this.dom.loopOutInput) this.dom.loopOutInput.value = this.loop.out.toFixed(1);
                     showNotification(`Loop Out auto-set to ${formatTime(this.loop.out)} for ${beats} beats.`, 'info');
                 } else {
@@ -922,35 +2020,48 @@ class Deck {
             }
         }
 
+        if (!this.loop.active && this.deferToQuantize('Loop On', () => this.toggleLoop())) return;
+
         this.loop.active = !this.loop.active;
-        if(this.dom.loopToggleButton) {
-            this.dom.loopToggleButton.innerHTML = `<i class="fas fa-redo"></i> Loop ${this.loop.active ? 'ON' : 'OFF'}`;
-            this.dom.loopToggleButton.classList.toggle('loop-active', this.loop.active);
-        }
+        this.updateLoopToggleButton();
         this.updateLoopRangeMarker();
         this.saveCurrentTrackSettings();
+        if (this.loop.active) {
+            this.startSlip();
+        } else {
+            this.releaseSlip();
+        }
 
-        if (this.loop.active && this.playerReady && typeof this.player.getCurrentTime === 'function' && this.player.getCurrentTime() >= this.loop.out) {
+        if (this.loop.active && this.playerReady && this.player.getCurrentTime() >= this.loop.out) {
             if (!this.stutterFx.activeFxType) {
-                if (this.player && typeof this.player.seekTo === 'function') {
-                    this.player.seekTo(this.loop.in, true);
+                if (this.player) {
+                    this.player.seekTo(this.loop.in);
                 }
             }
         }
          showNotification(`Loop ${this.loop.active ? 'activated' : 'deactivated'} on ${this.deckId}`, 'info');
     }
 
-    resetLoop() {
+    /**
+     * Turns the loop off without seeking.
+     * @param {boolean} [dropSlip=true] - Whether to drop the slip shadow if nothing else holds it;
+     * false when the caller returns to it.
+     */
+    resetLoop(dropSlip = true) {
         this.loop.active = false;
-        if (this.dom.loopToggleButton) {
-            this.dom.loopToggleButton.innerHTML = '<i class="fas fa-redo"></i> Loop OFF';
-            this.dom.loopToggleButton.classList.remove('loop-active');
-        }
+        this.updateLoopToggleButton();
         this.updateLoopRangeMarker();
+        if (dropSlip) this.releaseSlip(false);
+    }
+
+    updateLoopToggleButton() {
+        if (!this.dom.loopToggleButton) return;
+        this.dom.loopToggleButton.innerHTML = `<i class="fas fa-redo"></i> Loop ${this.loop.active ? 'ON' : 'OFF'}`;
+        this.dom.loopToggleButton.classList.toggle('loop-active', this.loop.active);
     }
 
     setBeatLoop(beats) {
-        if (!this.playerReady || !this.currentVideoId || typeof this.player.getCurrentTime !== 'function') {
+        if (!this.playerReady || !this.currentVideoId) {
              showNotification('Load a track first.', 'warning');
              return;
         }
@@ -964,13 +2075,10 @@ class Deck {
         }
         if (this.loop.in === null) return;
 
-        const beatDuration = 60 / this.bpm;
-        const loopDuration = parseInt(beats, 10) * beatDuration;
-        this.loop.out = this.snapToBeat(this.loop.in + loopDuration);
-
-        if (this.trackInfo.duration > 0 && this.loop.out > this.trackInfo.duration) {
-            this.loop.out = this.trackInfo.duration;
-        }
+        const beatLoop = this.getBeatLoopRange(this.loop.in, parseInt(beats, 10));
+        this.loop.in = beatLoop.in;
+        this.loop.out = beatLoop.out;
+        if(this.dom.loopInInput) this.dom.loopInInput.value = this.loop.in.toFixed(1);
 
         if (this.loop.out <= this.loop.in) {
             showNotification(`Calculated ${beats}-beat loop out point is not after loop in. Adjust BPM or loop in point.`, 'warning');
@@ -988,6 +2096,223 @@ class Deck {
         showNotification(`${beats}-Beat Loop points set on ${this.deckId}. Use 'Loop' button to activate.`, 'success');
     }
 
+    /**
+     * Loop-out transition: loops `beats` from the playhead without touching the track's own loop,
+     * which endTransitionLoop() puts back.
+     * @param {number} beats
+     * @returns {boolean} Whether the loop engaged; it needs a BPM.
+     */
+    startTransitionLoop(beats) {
+        if (!this.playerReady || !this.currentVideoId || !this.getBeatDuration()) return false;
+        const range = this.getBeatLoopRange(this.player.getCurrentTime(), beats);
+        if (range.out <= range.in) return false;
+        if (!this.transitionLoopBackup) this.transitionLoopBackup = { in: this.loop.in, out: this.loop.out, active: this.loop.active };
+        this.loop.in = range.in;
+        this.loop.out = range.out;
+        this.loop.active = true;
+        this.updateLoopPointsUI();
+        return true;
+    }
+
+    endTransitionLoop() {
+        if (!this.transitionLoopBackup) return;
+        ({ in: this.loop.in, out: this.loop.out, active: this.loop.active } = this.transitionLoopBackup);
+        this.transitionLoopBackup = null;
+        this.updateLoopPointsUI();
+    }
+
+    updateLoopPointsUI() {
+        if (this.dom.loopInInput) this.dom.loopInInput.value = this.loop.in !== null ? this.loop.in.toFixed(1) : '';
+        if (this.dom.loopOutInput) this.dom.loopOutInput.value = this.loop.out !== null ? this.loop.out.toFixed(1) : '';
+        this.updateLoopToggleButton();
+        this.updateLoopRangeMarker();
+    }
+
+    /**
+     * Echo-out transition: a stutter loop on the deck as it fades. Starts straight away, as the
+     * transition is already on the bar.
+     */
+    startEchoOut() {
+        if (!this.playerReady || !this.currentVideoId || this.stutterFx.activeFxType === 'loop') return;
+        if (this.stutterFx.activeFxType) this.stopStutterFx(false, true);
+        this.stutterFx.activeFxType = 'loop';
+        this.startSlip();
+        this.startStutterFx();
+    }
+
+    hasValidLoop() {
+        return this.loop.in !== null && this.loop.out !== null && this.loop.out > this.loop.in;
+    }
+
+    /**
+     * The selected beat loop length, or null once Loop In or Out was moved off it by hand.
+     * @returns {number|null}
+     */
+    getLoopBeats() {
+        const beats = this.loop.selectedBeatLoopLength;
+        const beatDuration = this.getBeatDuration();
+        if (!beats || !beatDuration || !this.hasValidLoop()) return null;
+        return Math.abs(beats * beatDuration - (this.loop.out - this.loop.in)) < LOOP_BEATS_TOLERANCE_SECONDS ? beats : null;
+    }
+
+    /**
+     * Sets both loop points, refreshes the inputs and seek marker, and saves them with the track.
+     * @param {number} loopIn
+     * @param {number} loopOut
+     */
+    applyLoopPoints(loopIn, loopOut) {
+        this.loop.in = loopIn;
+        this.loop.out = loopOut;
+        if(this.dom.loopInInput) this.dom.loopInInput.value = this.loop.in.toFixed(1);
+        if(this.dom.loopOutInput) this.dom.loopOutInput.value = this.loop.out.toFixed(1);
+        this.updateActiveBeatLoopButton();
+        this.updateLoopRangeMarker();
+        this.saveCurrentTrackSettings();
+    }
+
+    /**
+     * Halves (factor 0.5) or doubles (factor 2) the loop, keeping Loop In where it is.
+     * Beat loops stay whole beat counts of the track's BPM where possible.
+     * @param {number} factor
+     */
+    resizeLoop(factor) {
+        if (!this.hasValidLoop()) {
+            showNotification('Set valid Loop In & Out first.', 'warning');
+            return;
+        }
+        const loopBeats = this.getLoopBeats();
+        const beats = loopBeats ? loopBeats * factor : null;
+        const newLength = beats ? beats * this.getBeatDuration() : (this.loop.out - this.loop.in) * factor;
+        if (newLength < LOOP_MIN_LENGTH_SECONDS) {
+            showNotification('Loop is already as short as it can be.', 'warning');
+            return;
+        }
+        let loopOut = this.loop.in + newLength;
+        if (this.trackInfo.duration > 0 && loopOut > this.trackInfo.duration) {
+            showNotification('Loop would run past the end of the track.', 'warning');
+            return;
+        }
+
+        this.loop.selectedBeatLoopLength = beats;
+        this.applyLoopPoints(this.loop.in, loopOut);
+        const lengthText = beats ? `${beats} beat${beats === 1 ? '' : 's'}` : `${newLength.toFixed(2)}s`;
+        showNotification(`Loop ${factor < 1 ? 'halved' : 'doubled'} to ${lengthText} on ${this.deckId}`, 'info');
+    }
+
+    /**
+     * Moves the whole loop back (-1) or forward (1) by its own length or by one beat.
+     * An active loop takes the playhead with it, so playback stays inside the loop.
+     * @param {number} direction
+     * @param {'loop'|'beat'} unit
+     */
+    shiftLoop(direction, unit) {
+        if (!this.hasValidLoop()) {
+            showNotification('Set valid Loop In & Out first.', 'warning');
+            return;
+        }
+        const loopLength = this.loop.out - this.loop.in;
+        let distance = loopLength;
+        if (unit === 'beat') {
+            distance = this.getBeatDuration();
+            if (!distance) {
+                showNotification('Set BPM first to shift the loop by beats.', 'warning');
+                return;
+            }
+        }
+
+        let loopIn = this.loop.in + Math.sign(direction) * distance;
+        loopIn = Math.max(0, loopIn);
+        if (this.trackInfo.duration > 0) loopIn = Math.min(loopIn, this.trackInfo.duration - loopLength);
+        const delta = loopIn - this.loop.in;
+        if (Math.abs(delta) < 0.001) return;
+
+        this.applyLoopPoints(loopIn, loopIn + loopLength);
+        if (this.loop.active && this.playerReady && !this.stutterFx.activeFxType) {
+            this.player.seekTo(Math.max(0, this.player.getCurrentTime() + delta));
+        }
+    }
+
+    /** Jumps back to Loop In and re-engages the last loop. */
+    reloop() {
+        if (!this.playerReady || !this.hasValidLoop()) {
+            showNotification('No loop to re-engage. Set Loop In & Out first.', 'warning');
+            return;
+        }
+        if (this.deferToQuantize('Reloop', () => this.reloop())) return;
+
+        this.startSlip();
+        this.loop.active = true;
+        this.updateLoopToggleButton();
+        this.updateLoopRangeMarker();
+        this.saveCurrentTrackSettings();
+        if (!this.stutterFx.activeFxType) {
+            this.player.seekTo(this.loop.in);
+            if (this.playbackState !== PLAYER_STATE.PLAYING) this.player.play();
+        }
+    }
+
+    setBeatJumpSize(beats) {
+        const size = parseInt(beats, 10);
+        if (!BEAT_JUMP_SIZES.includes(size)) return;
+        this.beatJumpSize = size;
+        if (this.dom.beatJumpSizeSelect) this.dom.beatJumpSizeSelect.value = String(size);
+    }
+
+    /**
+     * Seeks back (-1) or forward (1) by the selected number of beats. The jump is a whole number
+     * of beats, so the playhead keeps its position within the beat; with quantize on it also
+     * waits for the next boundary like a cue jump. An active loop moves along with the playhead.
+     * @param {number} direction
+     */
+    beatJump(direction) {
+        if (!this.playerReady) {
+            showNotification(`Player not ready on ${this.deckId}.`, 'warning');
+            return;
+        }
+        const beatDuration = this.getBeatDuration();
+        if (!beatDuration) {
+            showNotification('Set BPM first to use beat jump.', 'warning');
+            return;
+        }
+        const beats = this.beatJumpSize;
+        if (this.deferToQuantize(`Jump ${direction < 0 ? '-' : '+'}${beats}`, () => this.beatJump(direction))) return;
+
+        const delta = Math.sign(direction) * beats * beatDuration;
+        const targetTime = this.player.getCurrentTime() + delta;
+        const duration = this.trackInfo.duration;
+        if (targetTime < 0 || (duration > 0 && targetTime > duration)) {
+            showNotification(`Can't jump ${beats} beat${beats === 1 ? '' : 's'} past the ${targetTime < 0 ? 'start' : 'end'} of the track.`, 'warning');
+            return;
+        }
+
+        if (this.loop.active && this.hasValidLoop()) {
+            const loopIn = this.loop.in + delta;
+            const loopOut = this.loop.out + delta;
+            if (loopIn < 0 || (duration > 0 && loopOut > duration)) {
+                showNotification('Active loop would leave the track. Turn the loop off to jump.', 'warning');
+                return;
+            }
+            this.applyLoopPoints(loopIn, loopOut);
+        }
+
+        this.stopStutterFx(false);
+        this.player.seekTo(targetTime);
+        if(this.dom.seekSlider) this.dom.seekSlider.value = targetTime;
+    }
+
+    /**
+     * Loop points for a beat loop starting on the grid beat nearest to `time`.
+     * @param {number} time - Requested loop start in seconds.
+     * @param {number} beats - Loop length in beats.
+     * @returns {{in: number, out: number}}
+     */
+    getBeatLoopRange(time, beats) {
+        const loopIn = this.snapToBeat(time);
+        let loopOut = loopIn + beats * this.getBeatDuration();
+        if (this.trackInfo.duration > 0) loopOut = Math.min(loopOut, this.trackInfo.duration);
+        return { in: loopIn, out: loopOut };
+    }
+
     updateActiveBeatLoopButton() {
         this.dom.beatLoopButtons.forEach(btn => {
             btn.classList.remove('active');
@@ -1015,820 +2340,3578 @@ class Deck {
         }
     }
 
-    setBPM(newBpm) {
-        const parsedBpm = parseFloat(newBpm);
-        if (!isNaN(parsedBpm) && parsedBpm > 0) {
-            this.bpm = parsedBpm;
-            if(this.dom.bpmInput) this.dom.bpmInput.value = this.bpm.toFixed(1);
-            this.saveCurrentTrackSettings();
-             showNotification(`BPM for ${this.deckId} set to ${this.bpm.toFixed(1)}`, 'info');
-        } else if (newBpm === '') {
-            this.bpm = null;
-            if(this.dom.bpmInput) this.dom.bpmInput.value = '';
-            this.saveCurrentTrackSettings();
+    /**
+     * Sets the track's mix-in or mix-out point. Auto crossfades start at the outgoing track's
+     * mix-out and bring the incoming track in from its mix-in.
+     * @param {'in'|'out'} which
+     * @param {number|string|null} time - Seconds; null uses the playhead, '' clears the point.
+     */
+    setMixPoint(which, time = null) {
+        if (!this.playerReady || !this.currentVideoId) {
+            showNotification('Load a track first to set mix points.', 'warning');
+            return;
+        }
+        if (time === '') {
+            this.mixPoints[which] = null;
+        } else {
+            const newTime = time !== null ? parseFloat(time) : this.player.getCurrentTime();
+            const otherTime = this.mixPoints[which === 'in' ? 'out' : 'in'];
+            const isOrdered = otherTime === null || (which === 'in' ? newTime < otherTime : newTime > otherTime);
+            if (isNaN(newTime) || newTime < 0 || (this.trackInfo.duration > 0 && newTime > this.trackInfo.duration) || !isOrdered) {
+                showNotification(`Invalid mix-${which} time. Mix In must come before Mix Out.`, 'error');
+                this.updateMixPointControls();
+                return;
+            }
+            this.mixPoints[which] = newTime;
         }
+        this.updateMixPointControls();
+        this.saveCurrentTrackSettings();
     }
 
-    tapTempo() {
-        const now = Date.now();
-        if (this.tapTempoData.lastTapTime && (now - this.tapTempoData.lastTapTime > TAP_TEMPO_TIMEOUT)) {
-            this.tapTempoData.taps = [];
-        }
+    /** Seconds as heard until the playhead reaches the mix-out point, or null without one. */
+    getTimeUntilMixOut() {
+        if (this.mixPoints.out === null || !this.playerReady) return null;
+        return (this.mixPoints.out - this.player.getCurrentTime()) / this.playbackRate;
+    }
 
-        this.tapTempoData.taps.push(now);
-        this.tapTempoData.lastTapTime = now;
-
-        if (this.tapTempoData.taps.length >= TAP_TEMPO_MIN_TAPS) {
-            let intervals = [];
-            for (let i = 1; i < this.tapTempoData.taps.length; i++) {
-                intervals.push(this.tapTempoData.taps[i] - this.tapTempoData.taps[i-1]);
-            }
-            intervals.sort((a, b) => a - b);
-            const  medianIntervals = intervals.slice(Math.floor(intervals.length * 0.25), Math.ceil(intervals.length * 0.75));
-            if(medianIntervals.length === 0 && intervals.length > 0) medianIntervals.push(intervals[Math.floor(intervals.length/2)]);
+    /** Before an auto transition fades this deck in: a paused deck is moved to its mix-in point. */
+    cueToMixIn() {
+        if (this.mixPoints.in === null || !this.playerReady || this.playbackState === PLAYER_STATE.PLAYING) return;
+        this.player.seekTo(this.mixPoints.in);
+    }
 
+    updateMixPointControls() {
+        if (this.dom.mixInInput) this.dom.mixInInput.value = this.mixPoints.in !== null ? this.mixPoints.in.toFixed(1) : '';
+        if (this.dom.mixOutInput) this.dom.mixOutInput.value = this.mixPoints.out !== null ? this.mixPoints.out.toFixed(1) : '';
+        this.updateMixPointMarkers();
+    }
 
-            const averageInterval = medianIntervals.reduce((sum, val) => sum + val, 0) / medianIntervals.length;
-            if (averageInterval > 0) {
-                const calculatedBpm = 60000 / averageInterval;
-                this.setBPM(calculatedBpm.toFixed(1));
-                if (this.tapTempoData.taps.length > TAP_TEMPO_MIN_TAPS + 4) {
-                    this.tapTempoData.taps.shift();
-                }
+    updateMixPointMarkers() {
+        [[this.dom.mixInMarker, this.mixPoints.in, 'Mix In'], [this.dom.mixOutMarker, this.mixPoints.out, 'Mix Out']].forEach(([marker, time, label]) => {
+            if (!marker) return;
+            if (time === null || !(this.trackInfo.duration > 0)) {
+                marker.style.display = 'none';
+                return;
             }
-        }
+            marker.style.left = `${Math.min(100, (time / this.trackInfo.duration) * 100)}%`;
+            marker.title = `${label}: ${formatTime(time)}`;
+            marker.style.display = 'block';
+        });
     }
 
-    snapToBeat(time) {
-        if (!this.bpm || !this.playerReady || this.bpm <=0) return time;
-
-        const beatDuration = 60 / this.bpm;
-        if (beatDuration <= 0) return time;
-
-        const currentBeatNumber = Math.round(time / beatDuration);
-        let snappedTime = currentBeatNumber * beatDuration;
-
-        snappedTime = Math.max(0, snappedTime);
-        if (this.trackInfo.duration > 0) {
-            snappedTime = Math.min(this.trackInfo.duration, snappedTime);
+    /**
+     * Stores the current loop in the track's loop library. Saving under an existing name replaces that loop.
+     * If a beat loop is selected and matches the loop length, the saved loop follows the track's BPM.
+     * @param {string} name - Name for the loop; defaults to "Loop N".
+     */
+    saveLoopToLibrary(name = '') {
+        if (!this.playerReady || !this.currentVideoId) {
+            showNotification('Load a track first to save loops.', 'warning');
+            return;
         }
-        return snappedTime;
-    }
-
-    playWithDeck(targetDeckId) {
-        const targetDeck = deckObjects.find(d => d.deckId === targetDeckId);
-        if (!targetDeck || !this.playerReady || typeof this.player.playVideo !== 'function') {
-            showNotification(`Target deck ${targetDeckId} not found or this deck not ready.`, 'warning');
+        if (this.loop.in === null || this.loop.out === null || this.loop.out <= this.loop.in) {
+            showNotification('Set valid Loop In & Out before saving the loop.', 'warning');
+            return;
+        }
+        const loopName = (name.trim() || `Loop ${this.savedLoops.length + 1}`).slice(0, SAVED_LOOP_NAME_MAX_LENGTH);
+        const existingIndex = this.savedLoops.findIndex(saved => saved.name === loopName);
+        if (existingIndex === -1 && this.savedLoops.length >= MAX_SAVED_LOOPS) {
+            showNotification(`The loop library holds up to ${MAX_SAVED_LOOPS} loops per track. Delete one first.`, 'warning');
             return;
         }
 
-        if (targetDeck.playerReady && typeof targetDeck.player.playVideo === 'function') {
-            if (targetDeck.currentVideoId) {
-                if (targetDeck.playbackState === YT.PlayerState.PLAYING) {
-                    this.player.playVideo();
-                } else if (targetDeck.playbackState === YT.PlayerState.PAUSED || targetDeck.playbackState === YT.PlayerState.CUED || targetDeck.playbackState === YT.PlayerState.UNSTARTED) {
-                    this.player.playVideo();
-                    targetDeck.player.playVideo();
-                }
-                 showNotification(`Playing ${this.deckId} with ${targetDeckId}`, 'info');
-            } else {
-                showNotification(`Target deck ${targetDeckId} has no track loaded.`, 'warning');
-            }
+        const savedLoop = { name: loopName, in: this.loop.in, out: this.loop.out, beats: this.getLoopBeats() };
+        if (existingIndex === -1) {
+            this.savedLoops.push(savedLoop);
         } else {
-             showNotification(`Target deck ${targetDeckId} player not ready.`, 'warning');
+            this.savedLoops[existingIndex] = savedLoop;
         }
-    }
-
-    cycleStutterRate() {
-        const currentIndex = STUTTER_RATES.indexOf(this.stutterFx.rate);
-        const nextIndex = (currentIndex + 1) % STUTTER_RATES.length;
-        const newRate = STUTTER_RATES[nextIndex];
-
-        this.stutterFx.rate = newRate;
-        this.updateStutterRateButtonText();
 
-        if (this.stutterFx.activeFxType) {
-            console.log(`${this.deckId}: Stutter FX rate changed to ${newRate}Hz while active. Restarting interval.`);
-            this.startStutterFxInterval();
-        }
-        showNotification(`Stutter Rate set to ${newRate}Hz on ${this.deckId}`, 'info');
+        if (this.dom.loopNameInput) this.dom.loopNameInput.value = '';
+        this.renderSavedLoops();
+        this.saveCurrentTrackSettings();
+        showNotification(`Loop "${loopName}" ${existingIndex === -1 ? 'saved' : 'updated'} on ${this.deckId}.`, 'success');
     }
 
-    updateStutterRateButtonText() {
-        if (this.dom.stutterRateButton) {
-            this.dom.stutterRateButton.textContent = `Rate: ${this.stutterFx.rate}Hz`;
-        }
+    /**
+     * Loop points of a saved loop. Beat loops take their length from the current BPM.
+     * @param {{in: number, out: number, beats: number|null}} savedLoop
+     * @returns {{in: number, out: number}}
+     */
+    getSavedLoopRange(savedLoop) {
+        let loopOut = savedLoop.beats && this.bpm ? savedLoop.in + savedLoop.beats * (60 / this.bpm) : savedLoop.out;
+        if (this.trackInfo.duration > 0) loopOut = Math.min(loopOut, this.trackInfo.duration);
+        return { in: savedLoop.in, out: loopOut };
     }
 
-    toggleStutterFx(fxType) {
-        if (!this.playerReady || !this.currentVideoId) {
-            showNotification(`Load a track on ${this.deckId} first.`, 'warning');
+    /**
+     * Makes a saved loop the deck's active loop, jumping into it if the playhead is outside.
+     * @param {number} index - Position in the loop library.
+     */
+    recallSavedLoop(index) {
+        const savedLoop = this.savedLoops[index];
+        if (!savedLoop || !this.playerReady) return;
+        const range = this.getSavedLoopRange(savedLoop);
+        if (range.out <= range.in) {
+            showNotification(`Loop "${savedLoop.name}" is outside this track.`, 'warning');
             return;
         }
 
-        const isCurrentlyActiveAndSameType = this.stutterFx.activeFxType === fxType;
+        this.loop.in = range.in;
+        this.loop.out = range.out;
+        this.loop.selectedBeatLoopLength = savedLoop.beats;
+        this.startSlip();
+        this.loop.active = true;
+        if(this.dom.loopInInput) this.dom.loopInInput.value = this.loop.in.toFixed(1);
+        if(this.dom.loopOutInput) this.dom.loopOutInput.value = this.loop.out.toFixed(1);
+        this.updateActiveBeatLoopButton();
+        this.updateLoopToggleButton();
+        this.updateLoopRangeMarker();
+        this.saveCurrentTrackSettings();
 
-        if (isCurrentlyActiveAndSameType) {
-            this.stopStutterFx(true);
-        } else {
-            if (this.stutterFx.activeFxType) {
-                this.stopStutterFx(false);
-            }
-            this.stutterFx.activeFxType = fxType;
-            this.startStutterFx();
+        const currentTime = this.player.getCurrentTime();
+        if (!this.stutterFx.activeFxType && (currentTime < this.loop.in || currentTime >= this.loop.out)) {
+            this.player.seekTo(this.loop.in);
         }
+        showNotification(`Loop "${savedLoop.name}" recalled on ${this.deckId}.`, 'info');
     }
 
-
-    startStutterFx() {
-        if (!this.playerReady || !this.currentVideoId || !this.player ||
-            typeof this.player.getCurrentTime !== 'function' ||
-            typeof this.player.seekTo !== 'function' ||
-            typeof this.player.playVideo !== 'function' ||
-            typeof this.player.pauseVideo !== 'function') {
-            console.warn(`${this.deckId}: Player not ready/available for Stutter FX.`);
-            this.stopStutterFx(false);
+    renameSavedLoop(index, name) {
+        const savedLoop = this.savedLoops[index];
+        const newName = name.trim().slice(0, SAVED_LOOP_NAME_MAX_LENGTH);
+        if (!savedLoop || !newName || newName === savedLoop.name) {
+            this.renderSavedLoops();
+            return;
+        }
+        if (this.savedLoops.some(saved => saved.name === newName)) {
+            showNotification(`A loop named "${newName}" already exists on this track.`, 'warning');
+            this.renderSavedLoops();
             return;
         }
-        const validPlayerStates = [YT.PlayerState.PLAYING, YT.PlayerState.PAUSED, YT.PlayerState.CUED];
-        const currentPlayerState = this.player.getPlayerState();
+        savedLoop.name = newName;
+        this.renderSavedLoops();
+        this.saveCurrentTrackSettings();
+    }
 
-        if (!validPlayerStates.includes(currentPlayerState) && currentPlayerState !== YT.PlayerState.BUFFERING) {
-            console.warn(`${this.deckId}: Stutter FX cannot start, player state is ${currentPlayerState}.`);
-            this.stopStutterFx(false);
+    /**
+     * Overwrites a saved loop's points with the deck's current loop, keeping its name.
+     * @param {number} index - Position in the loop library.
+     */
+    updateSavedLoopPoints(index) {
+        const savedLoop = this.savedLoops[index];
+        if (!savedLoop) return;
+        if (this.loop.in === null || this.loop.out === null || this.loop.out <= this.loop.in) {
+            showNotification('Set valid Loop In & Out to update the saved loop.', 'warning');
             return;
         }
-        if (!this.stutterFx.activeFxType) {
-             console.warn(`${this.deckId}: No active Stutter FX type selected for start.`);
-             return;
+        savedLoop.in = this.loop.in;
+        savedLoop.out = this.loop.out;
+        if (savedLoop.beats && this.bpm) {
+            savedLoop.beats = Math.max(1, Math.round((savedLoop.out - savedLoop.in) * this.bpm / 60));
         }
+        this.renderSavedLoops();
+        this.saveCurrentTrackSettings();
+        showNotification(`Loop "${savedLoop.name}" updated to the current loop points.`, 'success');
+    }
 
-        if(this.stutterFx.originalPlayerState === null) {
-             this.stutterFx.originalPlayerState = currentPlayerState;
-             console.log(`${this.deckId}: Stored original player state for stutter: ${this.stutterFx.originalPlayerState}`);
+    /**
+     * Switches a saved loop between fixed points and a beat loop that follows the track's BPM.
+     * @param {number} index - Position in the loop library.
+     */
+    toggleSavedLoopBeatSync(index) {
+        const savedLoop = this.savedLoops[index];
+        if (!savedLoop) return;
+        if (savedLoop.beats) {
+            const range = this.getSavedLoopRange(savedLoop);
+            savedLoop.out = range.out;
+            savedLoop.beats = null;
+        } else if (this.bpm) {
+            savedLoop.beats = Math.max(1, Math.round((savedLoop.out - savedLoop.in) * this.bpm / 60));
         } else {
-             console.log(`${this.deckId}: Stutter starting, originalPlayerState already set to: ${this.stutterFx.originalPlayerState}.`);
+            showNotification('Set BPM first to turn a saved loop into a beat loop.', 'warning');
+            return;
         }
+        this.renderSavedLoops();
+        this.saveCurrentTrackSettings();
+    }
 
-        clearInterval(this.stutterFx.intervalId);
+    deleteSavedLoop(index) {
+        if (!this.savedLoops[index]) return;
+        const [removedLoop] = this.savedLoops.splice(index, 1);
+        this.renderSavedLoops();
+        this.saveCurrentTrackSettings();
+        showNotification(`Loop "${removedLoop.name}" deleted from ${this.deckId}.`, 'info');
+    }
 
-        if (this.stutterFx.activeFxType === 'loop') {
-             if (this.stutterFx.stutterLoopStartTime === null) {
-                 this.stutterFx.stutterLoopStartTime = this.player.getCurrentTime();
-                 console.log(`${this.deckId}: Stutter Loop start time set to ${this.stutterFx.stutterLoopStartTime}`);
-             }
-        } else {
-            this.stutterFx.stutterLoopStartTime = null;
+    renderSavedLoops() {
+        const list = this.dom.savedLoopList;
+        if (!list) return;
+        list.innerHTML = '';
+        if (this.savedLoops.length === 0) {
+            list.innerHTML = '<li class="saved-loop-empty">No saved loops for this track.</li>';
+            return;
         }
+        this.savedLoops.forEach((savedLoop, index) => {
+            const range = this.getSavedLoopRange(savedLoop);
+            const li = document.createElement('li');
+            li.dataset.loopIndex = index;
+
+            const recallButton = document.createElement('button');
+            recallButton.className = 'saved-loop-recall-button small-button';
+            recallButton.innerHTML = '<i class="fas fa-redo"></i>';
+            recallButton.title = `Recall loop "${savedLoop.name}": ${formatTime(range.in)} - ${formatTime(range.out)}`;
+            recallButton.setAttribute('aria-label', `Recall loop ${savedLoop.name}`);
+
+            const nameInput = document.createElement('input');
+            nameInput.type = 'text';
+            nameInput.className = 'saved-loop-name-input';
+            nameInput.value = savedLoop.name;
+            nameInput.maxLength = SAVED_LOOP_NAME_MAX_LENGTH;
+            nameInput.title = 'Loop name. Press Enter or lose focus to rename.';
+            nameInput.setAttribute('aria-label', `Name of saved loop ${index + 1}`);
+
+            const lengthSpan = document.createElement('span');
+            lengthSpan.className = 'saved-loop-length';
+            lengthSpan.textContent = savedLoop.beats ? `${savedLoop.beats}B` : `${(range.out - range.in).toFixed(1)}s`;
+
+            const beatButton = document.createElement('button');
+            beatButton.className = `saved-loop-beat-button small-button${savedLoop.beats ? ' active' : ''}`;
+            beatButton.innerHTML = '<i class="fas fa-circle-notch"></i>';
+            beatButton.title = savedLoop.beats ? 'Beat loop: length follows the track BPM. Click to keep fixed points instead.' : 'Fixed loop. Click to make it a beat loop that follows the track BPM.';
+            beatButton.setAttribute('aria-pressed', String(!!savedLoop.beats));
+
+            const updateButton = document.createElement('button');
+            updateButton.className = 'saved-loop-update-button small-button';
+            updateButton.innerHTML = '<i class="fas fa-sync-alt"></i>';
+            updateButton.title = `Update "${savedLoop.name}" to the current Loop In & Out`;
 
-        this.startStutterFxInterval();
-        this.updateActiveStutterButton();
-        this.updatePlaybackUI();
-        showNotification(`Stutter ${this.stutterFx.activeFxType === 'step' ? 'Step' : 'Loop'} ON (${this.stutterFx.rate}Hz) for ${this.deckId}`, 'info');
-        console.log(`${this.deckId}: Stutter ${this.stutterFx.activeFxType} started at ${this.stutterFx.rate}Hz. Original state: ${this.stutterFx.originalPlayerState}`);
-    }
-
-    startStutterFxInterval() {
-        clearInterval(this.stutterFx.intervalId);
-        this.stutterFx.intervalId = null;
+            const deleteButton = document.createElement('button');
+            deleteButton.className = 'saved-loop-delete-button small-button';
+            deleteButton.innerHTML = '<i class="fas fa-trash"></i>';
+            deleteButton.title = `Delete loop "${savedLoop.name}"`;
 
-        clearTimeout(this.stutterFx.stutterTimeoutId);
-        this.stutterFx.stutterTimeoutId = null;
+            li.append(recallButton, nameInput, lengthSpan, beatButton, updateButton, deleteButton);
+            list.appendChild(li);
+        });
+    }
 
-        const performStutterAction = () => {
-            if (!this.stutterFx.activeFxType || !this.playerReady || !this.player ||
-                typeof this.player.seekTo !== 'function' ||
-                typeof this.player.playVideo !== 'function' ||
-                typeof this.player.pauseVideo !== 'function' ||
-                typeof this.player.getCurrentTime !== 'function') {
-                this.stopStutterFx(false);
-                return;
-            }
+    setBPM(newBpm) {
+        const parsedBpm = parseFloat(newBpm);
+        if (!isNaN(parsedBpm) && parsedBpm > 0) {
+            this.bpm = parsedBpm;
+            if(this.dom.bpmInput) this.dom.bpmInput.value = this.bpm.toFixed(1);
+            this.updatePitchDisplay();
+            this.updateBeatgridTicks();
+            this.renderSavedLoops();
+            this.saveCurrentTrackSettings();
+             showNotification(`BPM for ${this.deckId} set to ${this.bpm.toFixed(1)}`, 'info');
+        } else if (newBpm === '') {
+            this.bpm = null;
+            if(this.dom.bpmInput) this.dom.bpmInput.value = '';
+            this.updatePitchDisplay();
+            this.updateBeatgridTicks();
+            this.renderSavedLoops();
+            this.saveCurrentTrackSettings();
+        }
+    }
 
-            const currentFreshState = this.player.getPlayerState();
-            if (currentFreshState === YT.PlayerState.ENDED || currentFreshState === YT.PlayerState.UNSTARTED || currentFreshState === -1) {
-                 console.log(`${this.deckId}: Stutter FX stopping because player ended or is unstarted.`);
-                 this.stopStutterFx(true);
-                 return;
-            }
+    /**
+     * Length of one beat in track time, or null while the track has no BPM. Loop points and the
+     * beatgrid are in track time, so they stay on the beat at any playback rate.
+     */
+    getBeatDuration() {
+        return this.bpm && this.bpm > 0 ? 60 / this.bpm : null;
+    }
 
-            let seekTime;
-            if (this.stutterFx.activeFxType === 'loop') {
-                if (this.stutterFx.stutterLoopStartTime === null) {
-                     console.warn(`${this.deckId}: Stutter loop active but start time is null. Using current time.`);
-                     this.stutterFx.stutterLoopStartTime = this.player.getCurrentTime();
-                }
-                seekTime = this.stutterFx.stutterLoopStartTime;
-            } else {
-                seekTime = this.player.getCurrentTime();
-            }
+    /** BPM as heard: the stored BPM times the playback rate, or null while the track has no BPM. */
+    getEffectiveBpm() {
+        return this.bpm && this.bpm > 0 ? this.bpm * this.playbackRate : null;
+    }
 
-            try {
-                this.player.seekTo(seekTime, true);
-                this.player.playVideo();
-            } catch (e) {
-                console.error(`${this.deckId}: Error during stutter seek/play:`, e);
-                this.stopStutterFx(false);
-                return;
-            }
+    /**
+     * Nearest rate the active player supports.
+     * @param {number} requestedRate
+     * @returns {number}
+     */
+    snapPlaybackRate(requestedRate) {
+        const availableRates = this.player ? this.player.getAvailablePlaybackRates() : [1];
+        if (!availableRates) {
+            return Math.min(LOCAL_PLAYBACK_RATE_LIMITS.max, Math.max(LOCAL_PLAYBACK_RATE_LIMITS.min, requestedRate));
+        }
+        return availableRates.reduce((nearest, rate) =>
+            Math.abs(rate - requestedRate) < Math.abs(nearest - requestedRate) ? rate : nearest, availableRates[0]);
+    }
 
-            clearTimeout(this.stutterFx.stutterTimeoutId);
-            this.stutterFx.stutterTimeoutId = setTimeout(() => {
-                if (this.player && this.stutterFx.activeFxType && typeof this.player.pauseVideo === 'function') {
-                     try {
-                        this.player.pauseVideo();
-                     } catch (e) {
-                        console.error(`${this.deckId}: Error pausing video during stutter timeout:`, e);
-                     }
-                }
-            }, STUTTER_SHORT_PLAY_DURATION_MS);
-        };
+    /**
+     * Sets the deck's tempo, snapped to a rate the player supports.
+     * @param {number} requestedRate - 1 is the original tempo.
+     * @param {boolean} announce - Whether to tell the user when the rate had to be snapped.
+     */
+    applyPlaybackRate(requestedRate, announce = true) {
+        // Before a track is ready the player can't list its rates, so keep the request until then.
+        const rate = this.playerReady ? this.snapPlaybackRate(requestedRate) : requestedRate;
+        if (this.slip.shadow) this.setSlipShadowRunning(this.slip.shadow.running);
+        this.playbackRate = rate;
+        if (this.playerReady) this.player.setPlaybackRate(rate);
+        if (announce && Math.abs(rate - requestedRate) > 0.0005) {
+            showNotification(`${this.isLocalSource() ? 'This file' : 'YouTube'} can't play at ${formatPitchPercent(requestedRate)}. Snapped to the nearest supported rate, ${formatPitchPercent(rate)}.`, 'warning');
+        }
+        this.updatePitchDisplay();
+    }
 
-        performStutterAction();
+    /**
+     * Pitch fader handler.
+     * @param {number|string} percent - Tempo change in percent, e.g. 4 for +4%.
+     */
+    setPitch(percent) {
+        const parsedPercent = parseFloat(percent);
+        if (isNaN(parsedPercent)) return;
+        this.applyPlaybackRate(1 + parsedPercent / 100);
+    }
 
-        const intervalDuration = 1000 / this.stutterFx.rate;
-        if (intervalDuration > 0 && Number.isFinite(intervalDuration)) {
-            this.stutterFx.intervalId = setInterval(performStutterAction, intervalDuration);
+    /**
+     * @param {number|string} range - Pitch fader range in +/- percent, one of PITCH_RANGES.
+     */
+    setPitchRange(range) {
+        const parsedRange = parseInt(range, 10);
+        if (!PITCH_RANGES.includes(parsedRange)) return;
+        this.pitchRange = parsedRange;
+        const currentPercent = (this.playbackRate - 1) * 100;
+        if (Math.abs(currentPercent) > parsedRange) {
+            this.setPitch(Math.sign(currentPercent) * parsedRange);
         } else {
-            console.error(`${this.deckId}: Invalid interval duration for stutter FX: ${intervalDuration}. Rate: ${this.stutterFx.rate}. Stopping FX.`);
-            this.stopStutterFx(false);
+            this.updatePitchDisplay();
         }
     }
 
+    updatePitchDisplay() {
+        if (this.dom.pitchSlider) {
+            this.dom.pitchSlider.min = -this.pitchRange;
+            this.dom.pitchSlider.max = this.pitchRange;
+            this.dom.pitchSlider.value = (this.playbackRate - 1) * 100;
+        }
+        if (this.dom.pitchRangeSelect) this.dom.pitchRangeSelect.value = String(this.pitchRange);
+        if (this.dom.pitchDisplay) this.dom.pitchDisplay.textContent = formatPitchPercent(this.playbackRate);
+        if (this.dom.effectiveBpmDisplay) {
+            const effectiveBpm = this.getEffectiveBpm();
+            this.dom.effectiveBpmDisplay.textContent = effectiveBpm ? `${effectiveBpm.toFixed(1)} BPM` : '--- BPM';
+        }
+    }
 
-    stopStutterFx(restorePlayer = true) {
-        const wasActiveType = this.stutterFx.activeFxType;
-
-        clearInterval(this.stutterFx.intervalId);
-        this.stutterFx.intervalId = null;
-        clearTimeout(this.stutterFx.stutterTimeoutId);
-        this.stutterFx.stutterTimeoutId = null;
+    setQuantize(enabled) {
+        this.quantize.enabled = !!enabled;
+        if (!this.quantize.enabled) this.cancelQuantizedAction();
+        this.updateQuantizeUI();
+    }
 
-        const originalStateToRestore = this.stutterFx.originalPlayerState;
-        this.stutterFx.activeFxType = null;
-        this.stutterFx.stutterLoopStartTime = null;
-        this.stutterFx.originalPlayerState = null;
+    /**
+     * @param {string} unit - One of QUANTIZE_UNITS.
+     */
+    setQuantizeUnit(unit) {
+        if (!Object.values(QUANTIZE_UNITS).includes(unit)) return;
+        this.quantize.unit = unit;
+        this.updateQuantizeUI();
+    }
 
-        this.updateActiveStutterButton();
+    /**
+     * Track time of the next beat or bar boundary at or after `time`, or null without a beatgrid.
+     * Bars need a bar length; without one, quantizing to bars falls back to beats.
+     * @param {number} time
+     * @param {string} [unit] - One of QUANTIZE_UNITS; defaults to the deck's quantize unit.
+     * @returns {number|null}
+     */
+    getNextQuantizeTime(time, unit = this.quantize.unit) {
+        const beatDuration = this.getBeatDuration();
+        if (!beatDuration) return null;
+        const useBars = unit === QUANTIZE_UNITS.BAR && this.beatgrid.beatsPerBar;
+        const period = useBars ? beatDuration * this.beatgrid.beatsPerBar : beatDuration;
+        const periodsElapsed = (time - this.beatgrid.offset) / period;
+        const sinceBoundary = (periodsElapsed - Math.floor(periodsElapsed)) * period;
+        if (sinceBoundary <= QUANTIZE_LATE_TOLERANCE_SECONDS) return time;
+        return this.beatgrid.offset + Math.ceil(periodsElapsed) * period;
+    }
 
-        if (restorePlayer && this.playerReady && this.player &&
-            typeof this.player.playVideo === 'function' && typeof this.player.pauseVideo === 'function') {
+    /**
+     * Quantize gate for performance actions. While quantize is on and the deck is playing on a
+     * beatgrid, schedules `action` for the next beat or bar and returns true; the caller should
+     * then stop. Returns false when the action should run right away. A newer action replaces
+     * one that is still pending.
+     * @param {string} label - Shown in the pending indicator, e.g. "Cue 2".
+     * @param {Function} action - Re-invokes the caller; runs without being deferred again.
+     * @returns {boolean}
+     */
+    deferToQuantize(label, action) {
+        if (!this.quantize.enabled || this.quantize.isRunningAction || this.stutterFx.activeFxType) return false;
+        if (this.playbackState !== PLAYER_STATE.PLAYING) return false;
+
+        const currentTime = this.player.getCurrentTime();
+        const boundaryTime = this.getNextQuantizeTime(currentTime);
+        if (boundaryTime === null || boundaryTime <= currentTime) return false;
+
+        this.cancelQuantizedAction();
+        const delayMs = ((boundaryTime - currentTime) / this.playbackRate) * 1000;
+        const timeoutId = setTimeout(() => {
+            this.quantize.pending = null;
+            this.updateQuantizeUI();
+            this.quantize.isRunningAction = true;
+            try {
+                action();
+            } finally {
+                this.quantize.isRunningAction = false;
+            }
+        }, delayMs);
+        this.quantize.pending = { label, timeoutId };
+        this.updateQuantizeUI();
+        return true;
+    }
 
-            const currentActualState = this.player.getPlayerState();
-            console.log(`${this.deckId}: Stopping stutter. Original state to restore was ${originalStateToRestore}. Current actual state is ${currentActualState}. RestorePlayer: ${restorePlayer}`);
+    /**
+     * Seconds as heard until the next bar line, 0 right on one. Null while the deck is not
+     * playing or has no BPM, as there is nothing to wait for.
+     * @returns {number|null}
+     */
+    getTimeUntilNextBar() {
+        if (!this.playerReady || this.playbackState !== PLAYER_STATE.PLAYING) return null;
+        const currentTime = this.player.getCurrentTime();
+        const barTime = this.getNextQuantizeTime(currentTime, QUANTIZE_UNITS.BAR);
+        return barTime === null ? null : Math.max(0, (barTime - currentTime) / this.playbackRate);
+    }
 
-            if (currentActualState !== YT.PlayerState.ENDED &&
-                currentActualState !== YT.PlayerState.UNSTARTED &&
-                currentActualState !== -1 ) {
+    cancelQuantizedAction() {
+        if (!this.quantize.pending) return;
+        clearTimeout(this.quantize.pending.timeoutId);
+        this.quantize.pending = null;
+        this.updateQuantizeUI();
+    }
 
-                if (originalStateToRestore === YT.PlayerState.PLAYING) {
-                    console.log(`${this.deckId}: Restoring to PLAYING state after stutter.`);
-                    if (currentActualState !== YT.PlayerState.ENDED) {
-                        try {
-                             this.player.playVideo();
-                             this.playbackState = YT.PlayerState.PLAYING;
-                        } catch(e) { console.warn("Error playing video during stopStutterFx restore:", e); }
-                    }
-                } else if (originalStateToRestore === YT.PlayerState.PAUSED || originalStateToRestore === YT.PlayerState.CUED) {
-                     console.log(`${this.deckId}: Restoring to PAUSED/CUED state after stutter.`);
-                     if (currentActualState === YT.PlayerState.PLAYING || currentActualState === YT.PlayerState.BUFFERING) {
-                        try { this.player.pauseVideo(); } catch(e) { console.warn("Error pausing video during stopStutterFx restore:", e); }
-                     }
-                     this.playbackState = YT.PlayerState.PAUSED;
-                } else {
-                    console.log(`${this.deckId}: Original stutter state was null or unexpected (${originalStateToRestore}). Pausing if currently playing/buffering.`);
-                    if (currentActualState === YT.PlayerState.PLAYING || currentActualState === YT.PlayerState.BUFFERING) {
-                        try { this.player.pauseVideo(); } catch(e) { console.warn("Error pausing video during stopStutterFx (default case):", e); }
-                    }
-                    this.playbackState = YT.PlayerState.PAUSED;
-                }
-                 this.updatePlaybackUI();
-            } else {
-                 console.log(`${this.deckId}: Not restoring player state as current state (${currentActualState}) is not controllable (e.g. ended, unstarted).`);
-                 this.updatePlaybackUI();
-            }
-        } else {
-             console.log(`${this.deckId}: Stutter stopped, restorePlayer=${restorePlayer}. Player state remains as is. Original state was ${originalStateToRestore}.`);
-             this.updatePlaybackUI();
+    updateQuantizeUI() {
+        if (this.dom.quantizeButton) {
+            this.dom.quantizeButton.classList.toggle('active', this.quantize.enabled);
+            this.dom.quantizeButton.classList.toggle('quantize-pending', !!this.quantize.pending);
+            this.dom.quantizeButton.setAttribute('aria-pressed', String(this.quantize.enabled));
         }
+        if (this.dom.quantizeIndicator) {
+            this.dom.quantizeIndicator.textContent = this.quantize.pending ? `${this.quantize.pending.label} on next ${this.quantize.unit}` : '';
+        }
+    }
 
-
-        if (wasActiveType) {
-            showNotification(`Stutter ${wasActiveType === 'step' ? 'Step' : 'Loop'} OFF for ${this.deckId}`, 'info');
-            console.log(`${this.deckId}: Stutter ${wasActiveType} stopped. Player state after stop logic: ${this.player ? this.player.getPlayerState() : 'N/A'}`);
+    setSlipMode(enabled) {
+        this.slip.enabled = !!enabled;
+        if (!this.slip.enabled) this.clearSlip();
+        if (this.dom.slipButton) {
+            this.dom.slipButton.classList.toggle('active', this.slip.enabled);
+            this.dom.slipButton.setAttribute('aria-pressed', String(this.slip.enabled));
         }
+        showNotification(`Slip mode ${this.slip.enabled ? 'ON' : 'OFF'} for ${this.deckId}`, 'info');
     }
 
+    /**
+     * Starts the shadow playhead at the current position when a loop, stutter or cue hold begins
+     * in slip mode. Nested tricks keep the first shadow; see releaseSlip().
+     */
+    startSlip() {
+        if (!this.slip.enabled || this.slip.shadow || !this.playerReady || this.playbackState !== PLAYER_STATE.PLAYING) return;
+        this.slip.shadow = { time: this.player.getCurrentTime(), since: performance.now(), running: true };
+        this.updateSlipMarker();
+    }
 
-    updateActiveStutterButton() {
-         if (this.dom.stutterStepButton) {
-            this.dom.stutterStepButton.classList.toggle('active', this.stutterFx.activeFxType === 'step');
-            this.dom.stutterStepButton.setAttribute('aria-pressed', String(this.stutterFx.activeFxType === 'step'));
-         }
-         if (this.dom.stutterLoopButton) {
-            this.dom.stutterLoopButton.classList.toggle('active', this.stutterFx.activeFxType === 'loop');
-            this.dom.stutterLoopButton.setAttribute('aria-pressed', String(this.stutterFx.activeFxType === 'loop'));
-         }
+    /** Track position of the shadow playhead, or null when none is running. */
+    getSlipPosition() {
+        const shadow = this.slip.shadow;
+        if (!shadow) return null;
+        const elapsedSeconds = shadow.running ? (performance.now() - shadow.since) / 1000 : 0;
+        return shadow.time + elapsedSeconds * this.playbackRate;
     }
 
-    saveCurrentTrackSettings() {
+    /**
+     * Pauses or resumes the shadow playhead. Also called before the playback rate changes,
+     * so time already elapsed is counted at the old rate.
+     * @param {boolean} running
+     */
+    setSlipShadowRunning(running) {
+        const shadow = this.slip.shadow;
+        if (!shadow || (!shadow.running && !running)) return;
+        shadow.time = this.getSlipPosition();
+        shadow.since = performance.now();
+        shadow.running = running;
+    }
+
+    /**
+     * Releases slip: seeks to where the track would have been and drops the shadow.
+     * @returns {boolean} Whether there was a shadow to return to.
+     */
+    endSlip() {
+        let slipPosition = this.getSlipPosition();
+        if (slipPosition === null) return false;
+        this.slip.shadow = null;
+        if (this.trackInfo.duration > 0) slipPosition = Math.min(slipPosition, this.trackInfo.duration);
+        this.player.seekTo(slipPosition);
+        this.updateSlipMarker();
+        return true;
+    }
+
+    /**
+     * Called as a loop, stutter or held cue ends. Once none of them is left, drops the shadow
+     * playhead, returning to it unless `returnToShadow` is false.
+     * @param {boolean} [returnToShadow=true]
+     * @returns {boolean} Whether the deck seeked to the shadow.
+     */
+    releaseSlip(returnToShadow = true) {
+        if (!this.slip.shadow || this.loop.active || this.stutterFx.activeFxType || this.slip.heldCueIndex !== null) return false;
+        if (returnToShadow) return this.endSlip();
+        this.clearSlip();
+        return false;
+    }
+
+    /** Drops the shadow playhead without seeking. */
+    clearSlip() {
+        this.slip.shadow = null;
+        this.slip.heldCueIndex = null;
+        this.updateSlipMarker();
+    }
+
+    /**
+     * Slip mode hot cue press: plays from the cue for as long as it is held.
+     * @param {number} cueIndex
+     */
+    holdCuePoint(cueIndex) {
+        const cue = this.cuePoints[cueIndex];
+        if (cue && cue.mode !== CUE_MODES.PAUSE) {
+            this.slip.heldCueIndex = cueIndex;
+            this.startSlip();
+        }
+        this.jumpToCuePoint(cueIndex);
+    }
+
+    /**
+     * Slip mode hot cue release: returns to the shadow playhead.
+     * @param {number} cueIndex
+     */
+    releaseCuePoint(cueIndex) {
+        if (this.slip.heldCueIndex !== cueIndex) return;
+        this.slip.heldCueIndex = null;
+        this.cancelQuantizedAction(); // Released before a quantized jump happened
+        if (this.cuePoints[cueIndex]?.mode === CUE_MODES.LOOP) this.resetLoop(false);
+        this.releaseSlip();
+    }
+
+    updateSlipMarker() {
+        if (!this.dom.slipMarker) return;
+        const slipPosition = this.getSlipPosition();
+        if (slipPosition === null || !(this.trackInfo.duration > 0)) {
+            this.dom.slipMarker.style.display = 'none';
+            return;
+        }
+        this.dom.slipMarker.style.left = `${Math.min(100, (slipPosition / this.trackInfo.duration) * 100)}%`;
+        this.dom.slipMarker.style.display = 'block';
+    }
+
+    /**
+     * Anchors the beatgrid on a downbeat.
+     * @param {number|null} time - Downbeat time in seconds; defaults to the current position.
+     */
+    setDownbeat(time = null) {
+        if (!this.playerReady || !this.currentVideoId) {
+            showNotification('Load a track first to set the downbeat.', 'warning');
+            return;
+        }
+        const downbeatTime = time !== null ? parseFloat(time) : this.player.getCurrentTime();
+        if (isNaN(downbeatTime) || downbeatTime < 0) return;
+        this.beatgrid.offset = downbeatTime;
+        this.updateBeatgridControls();
+        this.saveCurrentTrackSettings();
+        showNotification(`Downbeat set to ${downbeatTime.toFixed(3)}s on ${this.deckId}${this.bpm ? '' : '. Set BPM to use the beatgrid.'}`, 'info');
+    }
+
+    /**
+     * Shifts the whole beatgrid earlier (negative) or later (positive).
+     * @param {number} seconds
+     */
+    nudgeBeatgrid(seconds) {
+        let offset = this.beatgrid.offset + seconds;
+        if (offset < 0) {
+            // Keep the anchor on the track by moving it to the same grid position one bar (or beat) later.
+            const beatDuration = this.getBeatDuration();
+            const period = beatDuration ? beatDuration * (this.beatgrid.beatsPerBar || 1) : 0;
+            offset = period > 0 ? offset + Math.ceil(-offset / period) * period : 0;
+        }
+        this.beatgrid.offset = offset;
+        this.updateBeatgridControls();
+        this.saveCurrentTrackSettings();
+    }
+
+    /**
+     * Sets BPM and downbeat for this session only: nothing is saved to the track, added to undo
+     * or announced. Set replay starts from the recorded beatgrid this way.
+     * @param {number|null} bpm
+     * @param {number} offset - Downbeat time in seconds.
+     */
+    setSessionBeatgrid(bpm, offset) {
+        this.bpm = bpm > 0 ? bpm : null;
+        this.beatgrid.offset = offset >= 0 ? offset : 0;
+        if (this.dom.bpmInput) this.dom.bpmInput.value = this.bpm ? this.bpm.toFixed(1) : '';
+        this.updatePitchDisplay();
+        this.updateBeatgridControls();
+        this.renderSavedLoops();
+    }
+
+    /**
+     * @param {number|string|null} beatsPerBar - Bar length in beats; empty or null turns bar ticks off.
+     */
+    setBeatsPerBar(beatsPerBar) {
+        const parsed = parseInt(beatsPerBar, 10);
+        this.beatgrid.beatsPerBar = parsed > 0 ? parsed : null;
+        this.updateBeatgridControls();
+        this.saveCurrentTrackSettings();
+    }
+
+    updateBeatgridControls() {
+        if (this.dom.beatgridOffsetDisplay) this.dom.beatgridOffsetDisplay.textContent = `${this.beatgrid.offset.toFixed(3)}s`;
+        if (this.dom.beatsPerBarSelect) this.dom.beatsPerBarSelect.value = this.beatgrid.beatsPerBar ? String(this.beatgrid.beatsPerBar) : '';
+        this.updateBeatgridTicks();
+    }
+
+    /** Draws beat and bar ticks of the beatgrid on the seek slider. */
+    updateBeatgridTicks() {
+        const ticks = this.dom.beatgridTicks;
+        if (!ticks) return;
+        ticks.innerHTML = '';
+        const beatDuration = this.getBeatDuration();
+        const duration = this.trackInfo.duration;
+        if (!beatDuration || !(duration > 0)) return;
+
+        const sliderWidth = this.dom.seekSlider?.clientWidth || 0;
+        const pixelsPerBeat = sliderWidth * beatDuration / duration;
+        const beatsPerBar = this.beatgrid.beatsPerBar;
+        const drawBeats = !sliderWidth || pixelsPerBeat >= BEATGRID_MIN_TICK_SPACING_PX;
+        const drawBars = beatsPerBar && (!sliderWidth || pixelsPerBeat * beatsPerBar >= BEATGRID_MIN_TICK_SPACING_PX);
+        if (!drawBeats && !drawBars) return;
+
+        const fragment = document.createDocumentFragment();
+        const firstBeat = Math.ceil(-this.beatgrid.offset / beatDuration);
+        for (let beat = firstBeat; ; beat++) {
+            const time = this.beatgrid.offset + beat * beatDuration;
+            if (time > duration) break;
+            const isBar = beatsPerBar && ((beat % beatsPerBar) + beatsPerBar) % beatsPerBar === 0;
+            if (isBar ? !drawBars : !drawBeats) continue;
+            const tick = document.createElement('div');
+            tick.className = isBar ? 'beatgrid-tick bar-tick' : 'beatgrid-tick';
+            tick.style.left = `${(time / duration) * 100}%`;
+            fragment.appendChild(tick);
+        }
+        ticks.appendChild(fragment);
+    }
+
+    tapTempo() {
+        const now = Date.now();
+        if (this.tapTempoData.lastTapTime && (now - this.tapTempoData.lastTapTime > TAP_TEMPO_TIMEOUT)) {
+            this.tapTempoData.taps = [];
+        }
+
+        this.tapTempoData.taps.push(now);
+        this.tapTempoData.lastTapTime = now;
+
+        if (this.tapTempoData.taps.length >= TAP_TEMPO_MIN_TAPS) {
+            let intervals = [];
+            for (let i = 1; i < this.tapTempoData.taps.length; i++) {
+                intervals.push(this.tapTempoData.taps[i] - this.tapTempoData.taps[i-1]);
+            }
+            intervals.sort((a, b) => a - b);
+            const  medianIntervals = intervals.slice(Math.floor(intervals.length * 0.25), Math.ceil(intervals.length * 0.75));
+            if(medianIntervals.length === 0 && intervals.length > 0) medianIntervals.push(intervals[Math.floor(intervals.length/2)]);
+
+
+            const averageInterval = medianIntervals.reduce((sum, val) => sum + val, 0) / medianIntervals.length;
+            if (averageInterval > 0) {
+                // Taps follow the tempo as heard, so divide out the pitch to get the track's own BPM.
+                const calculatedBpm = 60000 / averageInterval / this.playbackRate;
+                this.setBPM(calculatedBpm.toFixed(1));
+                if (this.tapTempoData.taps.length > TAP_TEMPO_MIN_TAPS + 4) {
+                    this.tapTempoData.taps.shift();
+                }
+            }
+        }
+    }
+
+    snapToBeat(time) {
+        const beatDuration = this.getBeatDuration();
+        if (!beatDuration || !this.playerReady) return time;
+
+        const offset = this.beatgrid.offset;
+        const currentBeatNumber = Math.round((time - offset) / beatDuration);
+        let snappedTime = offset + currentBeatNumber * beatDuration;
+
+        snappedTime = Math.max(0, snappedTime);
+        if (this.trackInfo.duration > 0) {
+            snappedTime = Math.min(this.trackInfo.duration, snappedTime);
+        }
+        return snappedTime;
+    }
+
+    playWithDeck(targetDeckId) {
+        const targetDeck = deckObjects.find(d => d.deckId === targetDeckId);
+        if (!targetDeck || !this.playerReady) {
+            showNotification(`Target deck ${targetDeckId} not found or this deck not ready.`, 'warning');
+            return;
+        }
+
+        if (targetDeck.playerReady) {
+            if (targetDeck.currentVideoId) {
+                const beatMatch = this.bpm && targetDeck.bpm;
+                if (beatMatch) this.matchTempoTo(targetDeck);
+                if (targetDeck.playbackState === PLAYER_STATE.PLAYING) {
+                    this.player.play();
+                } else if (targetDeck.playbackState === PLAYER_STATE.PAUSED || targetDeck.playbackState === PLAYER_STATE.CUED || targetDeck.playbackState === PLAYER_STATE.UNSTARTED) {
+                    this.player.play();
+                    targetDeck.player.play();
+                }
+                // Both decks start now, so lining up the current positions keeps the beats together.
+                if (beatMatch) this.alignBeatPhaseTo(targetDeck);
+                 showNotification(`Playing ${this.deckId} with ${targetDeckId}`, 'info');
+            } else {
+                showNotification(`Target deck ${targetDeckId} has no track loaded.`, 'warning');
+            }
+        } else {
+             showNotification(`Target deck ${targetDeckId} player not ready.`, 'warning');
+        }
+    }
+
+    /**
+     * Beat sync: sets this deck's rate to match the leader's effective BPM, then seeks so this
+     * deck's beats line up with the leader's. Reports any tempo error left by the player's rates.
+     * @param {string} leaderDeckId
+     */
+    syncToDeck(leaderDeckId) {
+        const leaderDeck = deckObjects.find(d => d.deckId === leaderDeckId);
+        if (!leaderDeck || !this.playerReady || !this.currentVideoId) {
+            showNotification(`Load a track on ${this.deckId} before syncing.`, 'warning');
+            return;
+        }
+        if (!leaderDeck.playerReady || !leaderDeck.currentVideoId) {
+            showNotification(`Deck ${leaderDeckId} has no track loaded to sync to.`, 'warning');
+            return;
+        }
+        if (!this.bpm || !leaderDeck.bpm) {
+            showNotification(`Set BPM on both ${this.deckId} and ${leaderDeckId} to sync.`, 'warning');
+            return;
+        }
+
+        const tempoError = this.matchTempoTo(leaderDeck);
+        // A paused deck would drift out of phase the moment the leader moves on, so only align
+        // when both positions stay meaningful.
+        const canAlignPhase = leaderDeck.playbackState !== PLAYER_STATE.PLAYING || this.playbackState === PLAYER_STATE.PLAYING;
+        if (canAlignPhase) this.alignBeatPhaseTo(leaderDeck);
+
+        let message = `${this.deckId} synced to ${leaderDeckId} at ${formatPitchPercent(this.playbackRate)}`;
+        message += canAlignPhase ? '.' : `. Use "Play with D${leaderDeck.deckNumber}" to start in phase.`;
+        if (Math.abs(tempoError) >= 0.05) {
+            message += ` Tempo is ${Math.abs(tempoError).toFixed(1)} BPM ${tempoError > 0 ? 'fast' : 'slow'}: the player has no closer rate.`;
+            showNotification(message, 'warning', 5000);
+        } else {
+            showNotification(message, 'success');
+        }
+    }
+
+    /**
+     * Sets the playback rate that brings this deck's effective BPM closest to the leader's.
+     * @param {Deck} leaderDeck
+     * @returns {number} Remaining tempo error in BPM (positive when this deck is faster).
+     */
+    matchTempoTo(leaderDeck) {
+        const leaderBpm = leaderDeck.getEffectiveBpm();
+        this.applyPlaybackRate(leaderBpm / this.bpm, false);
+        return this.getEffectiveBpm() - leaderBpm;
+    }
+
+    /**
+     * Seeks this deck to the position nearest its playhead that sits at the same point within
+     * a beat as the leader's playhead. Beat positions come from each deck's beatgrid.
+     * @param {Deck} leaderDeck
+     */
+    alignBeatPhaseTo(leaderDeck) {
+        const leaderBeatDuration = leaderDeck.getBeatDuration();
+        const beatDuration = this.getBeatDuration();
+        if (!leaderBeatDuration || !beatDuration) return;
+
+        const leaderTime = leaderDeck.player.getCurrentTime();
+        const leaderPhase = (leaderTime - leaderDeck.snapToBeat(leaderTime)) / leaderBeatDuration; // -0.5 to 0.5
+        const phaseOffset = leaderPhase * beatDuration;
+        let alignedTime = this.snapToBeat(this.player.getCurrentTime() - phaseOffset) + phaseOffset;
+        if (alignedTime < 0) alignedTime += beatDuration;
+        if (this.trackInfo.duration > 0 && alignedTime > this.trackInfo.duration) alignedTime -= beatDuration;
+        this.player.seekTo(alignedTime);
+    }
+
+    cycleStutterRate() {
+        if (this.stutterFx.mode === STUTTER_MODES.BEAT) {
+            const currentIndex = STUTTER_BEAT_DIVISIONS.findIndex(d => d.label === this.stutterFx.division);
+            this.stutterFx.division = STUTTER_BEAT_DIVISIONS[(currentIndex + 1) % STUTTER_BEAT_DIVISIONS.length].label;
+        } else {
+            const currentIndex = STUTTER_RATES.indexOf(this.stutterFx.rate);
+            this.stutterFx.rate = STUTTER_RATES[(currentIndex + 1) % STUTTER_RATES.length];
+        }
+        this.updateStutterRateButtonText();
+
+        if (this.stutterFx.activeFxType) {
+            console.log(`${this.deckId}: Stutter FX rate changed to ${this.getStutterRateLabel()} while active. Restarting scheduler.`);
+            this.startStutterFxInterval();
+        }
+        showNotification(`Stutter Rate set to ${this.getStutterRateLabel()} on ${this.deckId}`, 'info');
+    }
+
+    toggleStutterMode() {
+        this.stutterFx.mode = this.stutterFx.mode === STUTTER_MODES.BEAT ? STUTTER_MODES.HZ : STUTTER_MODES.BEAT;
+        this.updateStutterRateButtonText();
+        if (this.stutterFx.activeFxType) this.startStutterFxInterval();
+        const modeText = this.stutterFx.mode === STUTTER_MODES.BEAT ? 'beat divisions' : 'Hz';
+        showNotification(`Stutter rate in ${modeText} on ${this.deckId}`, 'info');
+    }
+
+    /**
+     * Time between stutter steps in ms. Beat divisions follow the effective BPM, so they keep
+     * time with pitch changes; without a BPM the Hz rate is used instead.
+     * @returns {number}
+     */
+    getStutterIntervalMs() {
+        const beatDuration = this.getBeatDuration();
+        if (this.stutterFx.mode === STUTTER_MODES.BEAT && beatDuration) {
+            const division = STUTTER_BEAT_DIVISIONS.find(d => d.label === this.stutterFx.division) || STUTTER_BEAT_DIVISIONS[0];
+            return (division.beats * beatDuration / this.playbackRate) * 1000;
+        }
+        return 1000 / this.stutterFx.rate;
+    }
+
+    getStutterRateLabel() {
+        if (this.stutterFx.mode === STUTTER_MODES.BEAT) {
+            return this.getBeatDuration() ? this.stutterFx.division : `${this.stutterFx.division} (no BPM, ${this.stutterFx.rate}Hz)`;
+        }
+        return `${this.stutterFx.rate}Hz`;
+    }
+
+    updateStutterRateButtonText() {
+        if (this.dom.stutterRateButton) {
+            const isBeatMode = this.stutterFx.mode === STUTTER_MODES.BEAT;
+            this.dom.stutterRateButton.textContent = `Rate: ${isBeatMode ? this.stutterFx.division : `${this.stutterFx.rate}Hz`}`;
+        }
+        if (this.dom.stutterModeButton) {
+            this.dom.stutterModeButton.textContent = this.stutterFx.mode === STUTTER_MODES.BEAT ? 'Beat' : 'Hz';
+        }
+    }
+
+    toggleStutterFx(fxType) {
+        if (!this.playerReady || !this.currentVideoId) {
+            showNotification(`Load a track on ${this.deckId} first.`, 'warning');
+            return;
+        }
+
+        const isCurrentlyActiveAndSameType = this.stutterFx.activeFxType === fxType;
+
+        if (isCurrentlyActiveAndSameType) {
+            this.stopStutterFx(true);
+        } else {
+            if (this.deferToQuantize(STUTTER_FX_LABELS[fxType], () => this.toggleStutterFx(fxType))) return;
+            const isTransportFx = TRANSPORT_FX_TYPES.includes(fxType);
+            if (this.stutterFx.activeFxType) {
+                // Transport FX start from the deck's real state, so hand it back before switching.
+                this.stopStutterFx(isTransportFx, !isTransportFx);
+            }
+            this.stutterFx.activeFxType = fxType;
+            if (isTransportFx) {
+                this.startTransportFx();
+            } else {
+                this.startSlip();
+                this.startStutterFx();
+            }
+        }
+    }
+
+
+    startStutterFx() {
+        if (!this.playerReady || !this.currentVideoId || !this.player) {
+            console.warn(`${this.deckId}: Player not ready/available for Stutter FX.`);
+            this.stopStutterFx(false);
+            return;
+        }
+        const validPlayerStates = [PLAYER_STATE.PLAYING, PLAYER_STATE.PAUSED, PLAYER_STATE.CUED];
+        const currentPlayerState = this.player.getState();
+
+        if (!validPlayerStates.includes(currentPlayerState) && currentPlayerState !== PLAYER_STATE.BUFFERING) {
+            console.warn(`${this.deckId}: Stutter FX cannot start, player state is ${currentPlayerState}.`);
+            this.stopStutterFx(false);
+            return;
+        }
+        if (!this.stutterFx.activeFxType) {
+             console.warn(`${this.deckId}: No active Stutter FX type selected for start.`);
+             return;
+        }
+
+        if(this.stutterFx.originalPlayerState === null) {
+             this.stutterFx.originalPlayerState = currentPlayerState;
+             console.log(`${this.deckId}: Stored original player state for stutter: ${this.stutterFx.originalPlayerState}`);
+        } else {
+             console.log(`${this.deckId}: Stutter starting, originalPlayerState already set to: ${this.stutterFx.originalPlayerState}.`);
+        }
+
+        if (this.stutterFx.activeFxType === 'loop') {
+             if (this.stutterFx.stutterLoopStartTime === null) {
+                 this.stutterFx.stutterLoopStartTime = this.player.getCurrentTime();
+                 console.log(`${this.deckId}: Stutter Loop start time set to ${this.stutterFx.stutterLoopStartTime}`);
+             }
+        } else {
+            this.stutterFx.stutterLoopStartTime = null;
+        }
+
+        this.startStutterFxInterval();
+        this.updateActiveStutterButton();
+        this.updatePlaybackUI();
+        showNotification(`Stutter ${this.stutterFx.activeFxType === 'step' ? 'Step' : 'Loop'} ON (${this.getStutterRateLabel()}) for ${this.deckId}`, 'info');
+        console.log(`${this.deckId}: Stutter ${this.stutterFx.activeFxType} started at ${this.getStutterRateLabel()}. Original state: ${this.stutterFx.originalPlayerState}`);
+    }
+
+    /**
+     * Runs stutter steps until the FX stops. Each step is timed from a performance.now() anchor
+     * (step n is due at startedAt + n * interval) instead of chaining fixed delays, so timer
+     * lateness doesn't add up over a long roll. Late steps are skipped rather than bunched up.
+     * A tempo or pitch change re-anchors the clock at the step that notices it.
+     */
+    startStutterFxInterval() {
+        clearTimeout(this.stutterFx.schedulerTimeoutId);
+        this.stutterFx.schedulerTimeoutId = null;
+
+        clearTimeout(this.stutterFx.stutterTimeoutId);
+        this.stutterFx.stutterTimeoutId = null;
+
+        const performStutterAction = () => {
+            if (!this.stutterFx.activeFxType || !this.playerReady || !this.player) {
+                this.stopStutterFx(false);
+                return;
+            }
+
+            const currentFreshState = this.player.getState();
+            if (currentFreshState === PLAYER_STATE.ENDED || currentFreshState === PLAYER_STATE.UNSTARTED || currentFreshState === -1) {
+                 console.log(`${this.deckId}: Stutter FX stopping because player ended or is unstarted.`);
+                 this.stopStutterFx(true);
+                 return;
+            }
+
+            let seekTime;
+            if (this.stutterFx.activeFxType === 'loop') {
+                if (this.stutterFx.stutterLoopStartTime === null) {
+                     console.warn(`${this.deckId}: Stutter loop active but start time is null. Using current time.`);
+                     this.stutterFx.stutterLoopStartTime = this.player.getCurrentTime();
+                }
+                seekTime = this.stutterFx.stutterLoopStartTime;
+            } else {
+                seekTime = this.player.getCurrentTime();
+            }
+
+            try {
+                this.player.seekTo(seekTime);
+                this.player.play();
+            } catch (e) {
+                console.error(`${this.deckId}: Error during stutter seek/play:`, e);
+                this.stopStutterFx(false);
+                return;
+            }
+
+            clearTimeout(this.stutterFx.stutterTimeoutId);
+            this.stutterFx.stutterTimeoutId = setTimeout(() => {
+                if (this.player && this.stutterFx.activeFxType) {
+                     try {
+                        this.player.pause();
+                     } catch (e) {
+                        console.error(`${this.deckId}: Error pausing video during stutter timeout:`, e);
+                     }
+                }
+            }, Math.min(STUTTER_SHORT_PLAY_DURATION_MS, this.stutterFx.clock.intervalMs * STUTTER_PLAY_FRACTION));
+        };
+
+        const scheduleNextStep = () => {
+            if (!this.stutterFx.activeFxType || !this.stutterFx.clock) return;
+            const clock = this.stutterFx.clock;
+            const now = performance.now();
+            const intervalMs = this.getStutterIntervalMs();
+            if (Math.abs(intervalMs - clock.intervalMs) > 0.5) {
+                clock.startedAt += clock.step * clock.intervalMs;
+                clock.step = 0;
+                clock.intervalMs = intervalMs;
+            }
+            clock.step = Math.max(clock.step + 1, Math.floor((now - clock.startedAt) / clock.intervalMs) + 1);
+            const dueAt = clock.startedAt + clock.step * clock.intervalMs;
+            this.stutterFx.schedulerTimeoutId = setTimeout(() => {
+                performStutterAction();
+                scheduleNextStep();
+            }, Math.max(0, dueAt - now));
+        };
+
+        const intervalDuration = this.getStutterIntervalMs();
+        if (!(intervalDuration > 0 && Number.isFinite(intervalDuration))) {
+            console.error(`${this.deckId}: Invalid interval duration for stutter FX: ${intervalDuration}. Rate: ${this.getStutterRateLabel()}. Stopping FX.`);
+            this.stopStutterFx(false);
+            return;
+        }
+        this.stutterFx.clock = { startedAt: performance.now(), intervalMs: intervalDuration, step: 0 };
+        performStutterAction();
+        scheduleNextStep();
+    }
+
+
+    /**
+     * @param {boolean} [restorePlayer=true] - Whether to put the player back in the state the FX started from.
+     * @param {boolean} [switching=false] - Another stutter starts straight away, so keep the slip
+     * shadow and the player state to restore to once that one stops.
+     */
+    stopStutterFx(restorePlayer = true, switching = false) {
+        const wasActiveType = this.stutterFx.activeFxType;
+
+        clearTimeout(this.stutterFx.transportTimeoutId);
+        this.stutterFx.transportTimeoutId = null;
+        if (TRANSPORT_FX_TYPES.includes(wasActiveType)) {
+            if (this.playerReady && this.player) this.player.setPlaybackRate(this.playbackRate);
+            this.stutterFx.volumeFactor = 1;
+            this.updateVolume();
+        }
+
+        clearTimeout(this.stutterFx.schedulerTimeoutId);
+        this.stutterFx.schedulerTimeoutId = null;
+        this.stutterFx.clock = null;
+        clearTimeout(this.stutterFx.stutterTimeoutId);
+        this.stutterFx.stutterTimeoutId = null;
+
+        const originalStateToRestore = this.stutterFx.originalPlayerState;
+        this.stutterFx.activeFxType = null;
+        this.stutterFx.stutterLoopStartTime = null;
+        if (!switching) this.stutterFx.originalPlayerState = null;
+
+        this.updateActiveStutterButton();
+
+        if (restorePlayer && this.playerReady && this.player) {
+
+            const currentActualState = this.player.getState();
+            console.log(`${this.deckId}: Stopping stutter. Original state to restore was ${originalStateToRestore}. Current actual state is ${currentActualState}. RestorePlayer: ${restorePlayer}`);
+
+            if (currentActualState !== PLAYER_STATE.ENDED &&
+                currentActualState !== PLAYER_STATE.UNSTARTED &&
+                currentActualState !== -1 ) {
+
+                if (originalStateToRestore === PLAYER_STATE.PLAYING) {
+                    console.log(`${this.deckId}: Restoring to PLAYING state after stutter.`);
+                    if (currentActualState !== PLAYER_STATE.ENDED) {
+                        try {
+                             if (!switching) this.releaseSlip();
+                             this.player.play();
+                             this.playbackState = PLAYER_STATE.PLAYING;
+                        } catch(e) { console.warn("Error playing video during stopStutterFx restore:", e); }
+                    }
+                } else if (originalStateToRestore === PLAYER_STATE.PAUSED || originalStateToRestore === PLAYER_STATE.CUED) {
+                     console.log(`${this.deckId}: Restoring to PAUSED/CUED state after stutter.`);
+                     if (currentActualState === PLAYER_STATE.PLAYING || currentActualState === PLAYER_STATE.BUFFERING) {
+                        try { this.player.pause(); } catch(e) { console.warn("Error pausing video during stopStutterFx restore:", e); }
+                     }
+                     this.playbackState = PLAYER_STATE.PAUSED;
+                } else {
+                    console.log(`${this.deckId}: Original stutter state was null or unexpected (${originalStateToRestore}). Pausing if currently playing/buffering.`);
+                    if (currentActualState === PLAYER_STATE.PLAYING || currentActualState === PLAYER_STATE.BUFFERING) {
+                        try { this.player.pause(); } catch(e) { console.warn("Error pausing video during stopStutterFx (default case):", e); }
+                    }
+                    this.playbackState = PLAYER_STATE.PAUSED;
+                }
+                 this.updatePlaybackUI();
+            } else {
+                 console.log(`${this.deckId}: Not restoring player state as current state (${currentActualState}) is not controllable (e.g. ended, unstarted).`);
+                 this.updatePlaybackUI();
+            }
+        } else {
+             console.log(`${this.deckId}: Stutter stopped, restorePlayer=${restorePlayer}. Player state remains as is. Original state was ${originalStateToRestore}.`);
+             this.updatePlaybackUI();
+        }
+        if (!switching) this.releaseSlip(false);
+
+
+        if (wasActiveType) {
+            showNotification(`Stutter ${wasActiveType === 'step' ? 'Step' : 'Loop'} OFF for ${this.deckId}`, 'info');
+            console.log(`${this.deckId}: Stutter ${wasActiveType} stopped. Player state after stop logic: ${this.player ? this.player.getState() : 'N/A'}`);
+        }
+    }
+
+
+    /**
+     * @param {string} fxType - One of TRANSPORT_FX_TYPES.
+     * @param {number|string} beats - One of TRANSPORT_FX_BEAT_OPTIONS.
+     */
+    setTransportFxBeats(fxType, beats) {
+        const parsedBeats = parseFloat(beats);
+        if (!TRANSPORT_FX_TYPES.includes(fxType) || !TRANSPORT_FX_BEAT_OPTIONS.includes(parsedBeats)) return;
+        this.stutterFx.transportBeats[fxType] = parsedBeats;
+    }
+
+    /** Length of a transport FX in ms as heard, from its beat count and the effective BPM. */
+    getTransportFxDurationMs(fxType) {
+        const beatSeconds = this.getBeatDuration() || TRANSPORT_FX_FALLBACK_BEAT_SECONDS;
+        return (this.stutterFx.transportBeats[fxType] * beatSeconds / this.playbackRate) * 1000;
+    }
+
+    /**
+     * Rates a brake passes through below the deck's own rate, fastest first: YouTube's list of
+     * supported rates, or evenly spaced rates down to the minimum for local files.
+     * @returns {number[]}
+     */
+    getTransportRampRates() {
+        const availableRates = this.player.getAvailablePlaybackRates();
+        if (!availableRates) {
+            const minRate = LOCAL_PLAYBACK_RATE_LIMITS.min;
+            const stepSize = (this.playbackRate - minRate) / TRANSPORT_FX_LOCAL_RAMP_STEPS;
+            return Array.from({ length: TRANSPORT_FX_LOCAL_RAMP_STEPS }, (_, i) => this.playbackRate - stepSize * (i + 1));
+        }
+        return availableRates.filter(rate => rate < this.playbackRate - 0.001).sort((a, b) => b - a);
+    }
+
+    startTransportFx() {
+        const fxType = this.stutterFx.activeFxType;
+        const currentPlayerState = this.player.getState();
+        const isPlaying = currentPlayerState === PLAYER_STATE.PLAYING;
+        if (fxType === 'spinup' ? isPlaying : !isPlaying) {
+            showNotification(fxType === 'spinup' ? `Pause ${this.deckId} first to spin it up.` : `${STUTTER_FX_LABELS[fxType]} needs ${this.deckId} to be playing.`, 'warning');
+            this.stutterFx.activeFxType = null;
+            return;
+        }
+
+        this.startSlip();
+        this.stutterFx.originalPlayerState = currentPlayerState;
+        this.updateActiveStutterButton();
+        this.updatePlaybackUI();
+
+        const durationMs = this.getTransportFxDurationMs(fxType);
+        if (fxType === 'spinback') {
+            this.runSpinBack(durationMs);
+        } else {
+            const rampRates = this.getTransportRampRates();
+            const rates = fxType === 'brake' ? rampRates : [...rampRates].reverse().concat(this.playbackRate);
+            if (fxType === 'spinup') {
+                this.player.setPlaybackRate(rates.shift());
+                this.player.play();
+            }
+            this.runRateRamp(rates, durationMs / (rates.length + (fxType === 'brake' ? 1 : 0)));
+        }
+    }
+
+    /**
+     * Steps through `rates`, one every `stepMs`. A brake pauses one step after its slowest
+     * rate; a spin-up ends on the deck's own rate and keeps playing.
+     * @param {number[]} rates
+     * @param {number} stepMs
+     */
+    runRateRamp(rates, stepMs) {
+        this.stutterFx.transportTimeoutId = setTimeout(() => {
+            if (!TRANSPORT_FX_TYPES.includes(this.stutterFx.activeFxType)) return;
+            if (rates.length === 0) {
+                this.finishTransportFx();
+                return;
+            }
+            this.player.setPlaybackRate(rates.shift());
+            if (rates.length === 0 && this.stutterFx.activeFxType === 'spinup') {
+                this.finishTransportFx();
+                return;
+            }
+            this.runRateRamp(rates, stepMs);
+        }, stepMs);
+    }
+
+    /**
+     * Spin-back: seeks backwards in small steps, fast at first and slowing down, while the
+     * volume ducks to silence. Each step also takes back the time played forward since the last.
+     * @param {number} durationMs
+     */
+    runSpinBack(durationMs) {
+        const stepCount = Math.max(4, Math.round(durationMs / TRANSPORT_FX_SPINBACK_STEP_MS));
+        const stepSeconds = (durationMs / stepCount) / 1000;
+        let step = 0;
+        const performStep = () => {
+            if (this.stutterFx.activeFxType !== 'spinback') return;
+            step++;
+            const progress = step / stepCount;
+            const backwardSpeed = TRANSPORT_FX_SPINBACK_SPEED * (1 - progress);
+            const seekTime = this.player.getCurrentTime() - stepSeconds * this.playbackRate * (1 + backwardSpeed);
+            this.player.seekTo(Math.max(0, seekTime));
+            this.stutterFx.volumeFactor = 1 - progress;
+            this.updateVolume();
+            if (step >= stepCount || seekTime <= 0) {
+                this.finishTransportFx();
+                return;
+            }
+            this.stutterFx.transportTimeoutId = setTimeout(performStep, stepSeconds * 1000);
+        };
+        this.stutterFx.transportTimeoutId = setTimeout(performStep, stepSeconds * 1000);
+    }
+
+    /** Ends a transport FX that ran its course: brake and spin-back leave the deck paused. */
+    finishTransportFx() {
+        const fxType = this.stutterFx.activeFxType;
+        this.stopStutterFx(false);
+        if (fxType !== 'spinup') {
+            this.clearSlip();
+            this.player.pause();
+        }
+        showNotification(`${STUTTER_FX_LABELS[fxType]} finished on ${this.deckId}`, 'info');
+    }
+
+    updateActiveStutterButton() {
+         if (this.dom.stutterStepButton) {
+            this.dom.stutterStepButton.classList.toggle('active', this.stutterFx.activeFxType === 'step');
+            this.dom.stutterStepButton.setAttribute('aria-pressed', String(this.stutterFx.activeFxType === 'step'));
+         }
+         if (this.dom.stutterLoopButton) {
+            this.dom.stutterLoopButton.classList.toggle('active', this.stutterFx.activeFxType === 'loop');
+            this.dom.stutterLoopButton.setAttribute('aria-pressed', String(this.stutterFx.activeFxType === 'loop'));
+         }
+         this.dom.transportFxButtons.forEach(button => {
+            const isActive = this.stutterFx.activeFxType === button.dataset.fxType;
+            button.classList.toggle('active', isActive);
+            button.setAttribute('aria-pressed', String(isActive));
+         });
+    }
+
+    toggleTranceGate() {
+        if (this.gateFx.active) {
+            this.stopTranceGate();
+            showNotification(`Trance Gate OFF for ${this.deckId}`, 'info');
+            return;
+        }
+        if (!this.playerReady || !this.currentVideoId) {
+            showNotification(`Load a track on ${this.deckId} first.`, 'warning');
+            return;
+        }
+        if (!this.getBeatDuration()) {
+            showNotification('Set BPM first to use the Trance Gate.', 'warning');
+            return;
+        }
+        this.gateFx.active = true;
+        this.runTranceGateStep();
+        this.updateTranceGateUI();
+        showNotification(`Trance Gate ON (${this.gateFx.preset || 'Custom'}) for ${this.deckId}`, 'info');
+    }
+
+    /**
+     * Opens or closes the gate for the step under the playhead, then waits for the next step
+     * boundary. The pattern spans one bar of the beatgrid, so steps are sixteenths in 4/4 and
+     * stretch or shrink with other bar lengths. Steps are read off the beatgrid each time rather
+     * than counted, so the gate stays on the bar through seeks, loops and tempo changes.
+     */
+    runTranceGateStep() {
+        clearTimeout(this.gateFx.timeoutId);
+        this.gateFx.timeoutId = null;
+        if (!this.gateFx.active) return;
+
+        const beatDuration = this.getBeatDuration();
+        if (!beatDuration) {
+            this.stopTranceGate();
+            showNotification(`Trance Gate stopped on ${this.deckId}: BPM was cleared.`, 'warning');
+            return;
+        }
+        const beatsPerBar = this.beatgrid.beatsPerBar || DEFAULT_BEATS_PER_BAR; // A grid without bars gates in 4/4
+        const stepDuration = beatDuration * beatsPerBar / TRANCE_GATE_STEPS;
+        const stepsElapsed = (this.player.getCurrentTime() - this.beatgrid.offset) / stepDuration;
+        const stepNumber = Math.floor(stepsElapsed + 1e-6);
+        const step = ((stepNumber % TRANCE_GATE_STEPS) + TRANCE_GATE_STEPS) % TRANCE_GATE_STEPS;
+        const isOpen = this.gateFx.pattern[step];
+
+        if (step !== this.gateFx.currentStep) {
+            this.gateFx.currentStep = step;
+            this.updateTranceGateUI();
+        }
+        if (isOpen !== this.gateFx.isOpen) {
+            this.gateFx.isOpen = isOpen;
+            this.updateVolume();
+        }
+
+        const untilNextStep = (stepNumber + 1 - stepsElapsed) * stepDuration / this.playbackRate;
+        const isRunning = this.playbackState === PLAYER_STATE.PLAYING;
+        const delayMs = isRunning ? Math.max(10, untilNextStep * 1000) : stepDuration * 1000;
+        this.gateFx.timeoutId = setTimeout(() => this.runTranceGateStep(), delayMs);
+    }
+
+    stopTranceGate() {
+        clearTimeout(this.gateFx.timeoutId);
+        this.gateFx.timeoutId = null;
+        const wasClosed = this.gateFx.active && !this.gateFx.isOpen;
+        this.gateFx.active = false;
+        this.gateFx.isOpen = true;
+        this.gateFx.currentStep = null;
+        if (wasClosed) this.updateVolume();
+        this.updateTranceGateUI();
+    }
+
+    setTranceGatePreset(presetName) {
+        const pattern = TRANCE_GATE_PRESETS[presetName];
+        if (!pattern) return;
+        this.gateFx.pattern = pattern.split('').map(step => step === '1');
+        this.gateFx.preset = presetName;
+        if (this.gateFx.active) this.runTranceGateStep();
+        this.updateTranceGateUI();
+    }
+
+    toggleTranceGateStep(step) {
+        if (step < 0 || step >= TRANCE_GATE_STEPS) return;
+        this.gateFx.pattern[step] = !this.gateFx.pattern[step];
+        this.gateFx.preset = Object.keys(TRANCE_GATE_PRESETS)
+            .find(name => TRANCE_GATE_PRESETS[name] === this.gateFx.pattern.map(on => on ? '1' : '0').join('')) || null;
+        if (this.gateFx.active) this.runTranceGateStep();
+        this.updateTranceGateUI();
+    }
+
+    updateTranceGateUI() {
+        if (this.dom.gateToggleButton) {
+            this.dom.gateToggleButton.classList.toggle('active', this.gateFx.active);
+            this.dom.gateToggleButton.setAttribute('aria-pressed', String(this.gateFx.active));
+        }
+        if (this.dom.gatePresetSelect) this.dom.gatePresetSelect.value = this.gateFx.preset || '';
+        this.dom.gateStepButtons.forEach(button => {
+            const step = parseInt(button.dataset.step, 10);
+            button.classList.toggle('on', this.gateFx.pattern[step]);
+            button.classList.toggle('current', this.gateFx.active && step === this.gateFx.currentStep);
+            button.setAttribute('aria-pressed', String(this.gateFx.pattern[step]));
+        });
+    }
+
+    saveCurrentTrackSettings() {
         if (!this.currentVideoId || !storageManager) return;
+        this.recordEditHistory(); // Every undoable edit is saved through here
         const settings = {
             cuePoints: this.cuePoints,
-            loopIn: this.loop.in,
-            loopOut: this.loop.out,
+            loopIn: (this.transitionLoopBackup || this.loop).in,
+            loopOut: (this.transitionLoopBackup || this.loop).out,
             bpm: this.bpm,
+            beatgridOffset: this.beatgrid.offset,
+            beatsPerBar: this.beatgrid.beatsPerBar,
+            selectedBeatLoopLength: this.loop.selectedBeatLoopLength,
+            intendedVolume: this.intendedVolume,
+            gainTrimDb: this.gainTrimDb,
+            volumeEnvelope: this.volumeEnvelope,
+            savedLoops: this.savedLoops,
+            mixIn: this.mixPoints.in,
+            mixOut: this.mixPoints.out
+        };
+        storageManager.saveTrackSettings(this.currentVideoId, settings);
+    }
+
+    loadTrackSettings() {
+        if (!this.currentVideoId || !storageManager) return;
+        const settings = storageManager.loadTrackSettings(this.currentVideoId);
+        if (settings) {
+            this.cuePoints = new Array(MAX_CUE_POINTS).fill(null);
+            if (settings.cuePoints && Array.isArray(settings.cuePoints)) {
+                // Older versions stored 3 slots of bare seconds; normalizeCuePoint() upgrades those.
+                settings.cuePoints.slice(0, MAX_CUE_POINTS).forEach((entry, index) => {
+                    this.cuePoints[index] = normalizeCuePoint(entry, index);
+                });
+            } else if (settings.cuePoint !== undefined) {
+                this.cuePoints[0] = normalizeCuePoint(settings.cuePoint, 0);
+            }
+
+            this.updateCueControls();
+            this.updateCueMarkers();
+
+            this.loop.in = settings.loopIn !== undefined ? settings.loopIn : null;
+            if(this.dom.loopInInput) this.dom.loopInInput.value = this.loop.in !== null ? this.loop.in.toFixed(1) : '';
+
+            this.loop.out = settings.loopOut !== undefined ? settings.loopOut : null;
+            if(this.dom.loopOutInput) this.dom.loopOutInput.value = this.loop.out !== null ? this.loop.out.toFixed(1) : '';
+
+            this.updateLoopRangeMarker();
+
+            this.bpm = settings.bpm !== undefined ? settings.bpm : null;
+            if(this.dom.bpmInput) this.dom.bpmInput.value = this.bpm !== null ? this.bpm.toFixed(1) : '';
+            this.updatePitchDisplay();
+
+            this.beatgrid = {
+                offset: typeof settings.beatgridOffset === 'number' && settings.beatgridOffset >= 0 ? settings.beatgridOffset : 0,
+                beatsPerBar: settings.beatsPerBar !== undefined ? settings.beatsPerBar : DEFAULT_BEATS_PER_BAR
+            };
+            this.updateBeatgridControls();
+
+            this.loop.selectedBeatLoopLength = settings.selectedBeatLoopLength !== undefined ? settings.selectedBeatLoopLength : null;
+            this.updateActiveBeatLoopButton();
+
+            this.savedLoops = Array.isArray(settings.savedLoops) ? settings.savedLoops.map(normalizeSavedLoop).filter(Boolean).slice(0, MAX_SAVED_LOOPS) : [];
+            this.renderSavedLoops();
+
+            this.mixPoints = {
+                in: typeof settings.mixIn === 'number' ? settings.mixIn : null,
+                out: typeof settings.mixOut === 'number' ? settings.mixOut : null
+            };
+            this.updateMixPointControls();
+
+            this.gainTrimDb = typeof settings.gainTrimDb === 'number' ? Math.max(-GAIN_TRIM_RANGE_DB, Math.min(GAIN_TRIM_RANGE_DB, settings.gainTrimDb)) : 0;
+            this.updateGainTrimUI();
+            this.volumeEnvelope = Array.isArray(settings.volumeEnvelope)
+                ? settings.volumeEnvelope
+                    .filter(point => typeof point?.time === 'number' && typeof point?.gain === 'number' && point.time >= 0)
+                    .map(point => ({ time: point.time, gain: Math.max(0, Math.min(VOLUME_ENVELOPE_MAX_GAIN, point.gain)) }))
+                    .sort((a, b) => a.time - b.time)
+                    .slice(0, MAX_VOLUME_ENVELOPE_POINTS)
+                : [];
+            this.renderVolumeEnvelope();
+            if (mixer) mixer.updateAllDeckVolumes();
+
+            if (settings.intendedVolume !== undefined) {
+                this.intendedVolume = settings.intendedVolume;
+                if(this.dom.volumeSlider) this.dom.volumeSlider.value = this.intendedVolume;
+                if (mixer) mixer.updateAllDeckVolumes();
+            }
+            showNotification(`Settings loaded for track on ${this.deckId}`, 'info');
+        } else {
+            this.cuePoints = new Array(MAX_CUE_POINTS).fill(null);
+            this.updateCueControls();
+            this.updateCueMarkers();
+            this.savedLoops = [];
+            this.renderSavedLoops();
+            this.mixPoints = { in: null, out: null };
+            this.updateMixPointControls();
+            this.gainTrimDb = 0;
+            this.updateGainTrimUI();
+            this.volumeEnvelope = [];
+            this.renderVolumeEnvelope();
+            if (mixer) mixer.updateAllDeckVolumes();
+        }
+        this.resetEditHistory();
+    }
+
+    /** The settings undo/redo covers, with the track's own loop while a transition loop stands in. */
+    captureEditState() {
+        const loop = this.transitionLoopBackup || this.loop;
+        return {
+            cuePoints: this.cuePoints.map(cue => cue && { ...cue }),
+            loopIn: loop.in,
+            loopOut: loop.out,
             selectedBeatLoopLength: this.loop.selectedBeatLoopLength,
+            bpm: this.bpm,
             intendedVolume: this.intendedVolume
         };
-        storageManager.saveTrackSettings(this.currentVideoId, settings);
     }
 
-    loadTrackSettings() {
-        if (!this.currentVideoId || !storageManager) return;
-        const settings = storageManager.loadTrackSettings(this.currentVideoId);
-        if (settings) {
-            if (settings.cuePoints && Array.isArray(settings.cuePoints) && settings.cuePoints.length === MAX_CUE_POINTS) {
-                this.cuePoints = settings.cuePoints;
-            } else if (settings.cuePoint !== undefined) {
-                this.cuePoints = new Array(MAX_CUE_POINTS).fill(null);
-                this.cuePoints[0] = settings.cuePoint;
-            } else {
-                this.cuePoints = new Array(MAX_CUE_POINTS).fill(null);
+    /**
+     * What changed between two edit states.
+     * @returns {{kind: string, label: string}} `kind` is empty when nothing did; equal kinds may merge.
+     */
+    describeEdit(before, after) {
+        const kinds = [];
+        const labels = [];
+        before.cuePoints.forEach((cue, index) => {
+            const nextCue = after.cuePoints[index];
+            if (JSON.stringify(cue) === JSON.stringify(nextCue)) return;
+            kinds.push(`cue${index}`);
+            labels.push(`${!cue ? 'Set' : !nextCue ? 'Clear' : 'Edit'} Cue ${index + 1}`);
+        });
+        if (before.loopIn !== after.loopIn || before.loopOut !== after.loopOut) {
+            const formatPoint = (time) => time !== null ? `${time.toFixed(1)}s` : '--';
+            kinds.push('loop');
+            labels.push(`Loop ${formatPoint(after.loopIn)} to ${formatPoint(after.loopOut)}`);
+        }
+        if (before.selectedBeatLoopLength !== after.selectedBeatLoopLength) {
+            kinds.push('beatLoop');
+            labels.push(after.selectedBeatLoopLength ? `${after.selectedBeatLoopLength}-Beat loop` : 'Free loop length');
+        }
+        if (before.bpm !== after.bpm) {
+            kinds.push('bpm');
+            labels.push(after.bpm ? `BPM ${after.bpm.toFixed(1)}` : 'Clear BPM');
+        }
+        if (before.intendedVolume !== after.intendedVolume) {
+            kinds.push('volume');
+            labels.push(`Volume ${after.intendedVolume}`);
+        }
+        return { kind: kinds.join(','), label: labels.join(', ') };
+    }
+
+    /**
+     * Adds a history entry if the settings about to be saved differ from the last recorded state.
+     * Redo steps are dropped, and the same edit repeated within EDIT_HISTORY_MERGE_MS extends the
+     * last entry instead, so tapping a tempo or dragging the volume undoes in one step.
+     */
+    recordEditHistory() {
+        const history = this.editHistory;
+        if (!history.state) return;
+        const state = this.captureEditState();
+        const { kind, label } = this.describeEdit(history.state, state);
+        if (!kind) return;
+
+        const now = Date.now();
+        history.entries.splice(history.index);
+        const lastEntry = history.entries[history.entries.length - 1];
+        if (lastEntry && lastEntry === history.mergeable && lastEntry.kind === kind && now - lastEntry.time < EDIT_HISTORY_MERGE_MS) {
+            const merged = this.describeEdit(lastEntry.before, state);
+            if (merged.kind) {
+                Object.assign(lastEntry, { label: merged.label, after: state, time: now });
+            } else {
+                history.entries.pop(); // Back where the edit started
+            }
+        } else {
+            history.entries.push({ kind, label, before: history.state, after: state, time: now });
+            if (history.entries.length > MAX_EDIT_HISTORY) history.entries.shift();
+        }
+        history.index = history.entries.length;
+        history.mergeable = history.entries[history.entries.length - 1] || null;
+        history.state = state;
+        this.renderEditHistory();
+    }
+
+    /** Starts a fresh history from the current settings, e.g. once a track's settings are loaded. */
+    resetEditHistory() {
+        this.editHistory = { entries: [], index: 0, state: this.currentVideoId ? this.captureEditState() : null, mergeable: null };
+        this.renderEditHistory();
+    }
+
+    /**
+     * Restores the settings as they were after the first `index` history entries, in memory and in
+     * the stored track settings.
+     * @param {number} index - 0 goes back to the settings the track was loaded with.
+     */
+    goToEditHistory(index) {
+        const history = this.editHistory;
+        if (!this.currentVideoId || index < 0 || index > history.entries.length || index === history.index) return;
+        const steps = Math.abs(index - history.index);
+        const isUndo = index < history.index;
+        const what = steps === 1 ? history.entries[isUndo ? index : index - 1].label : `${steps} edits`;
+        const state = index === 0 ? history.entries[0].before : history.entries[index - 1].after;
+        history.index = index;
+        history.mergeable = null;
+        this.applyEditState(state);
+        showNotification(`${isUndo ? 'Undid' : 'Redid'} ${what} on ${this.deckId}.`, 'info');
+    }
+
+    undoEdit() {
+        if (this.editHistory.index === 0) {
+            showNotification(`Nothing to undo on ${this.deckId}.`, 'info');
+            return;
+        }
+        this.goToEditHistory(this.editHistory.index - 1);
+    }
+
+    redoEdit() {
+        if (this.editHistory.index >= this.editHistory.entries.length) {
+            showNotification(`Nothing to redo on ${this.deckId}.`, 'info');
+            return;
+        }
+        this.goToEditHistory(this.editHistory.index + 1);
+    }
+
+    applyEditState(state) {
+        this.editHistory.state = state; // The save below restores a recorded state, so it adds no entry
+        this.cuePoints = state.cuePoints.map(cue => cue && { ...cue });
+        this.updateCueControls();
+        this.updateCueMarkers();
+        this.updateCueEditor();
+
+        const loop = this.transitionLoopBackup || this.loop;
+        loop.in = state.loopIn;
+        loop.out = state.loopOut;
+        this.loop.selectedBeatLoopLength = state.selectedBeatLoopLength;
+        if (!this.transitionLoopBackup && this.loop.active && !this.hasValidLoop()) this.loop.active = false;
+        if (!this.transitionLoopBackup) this.updateLoopPointsUI();
+        this.updateActiveBeatLoopButton();
+
+        this.bpm = state.bpm;
+        if (this.dom.bpmInput) this.dom.bpmInput.value = this.bpm !== null ? this.bpm.toFixed(1) : '';
+        this.updatePitchDisplay();
+        this.updateBeatgridTicks();
+        this.renderSavedLoops();
+
+        this.intendedVolume = state.intendedVolume;
+        if (this.dom.volumeSlider) this.dom.volumeSlider.value = this.intendedVolume;
+        if (mixer) mixer.updateAllDeckVolumes();
+
+        this.saveCurrentTrackSettings();
+        this.renderEditHistory();
+    }
+
+    renderEditHistory() {
+        const history = this.editHistory;
+        if (this.dom.undoButton) this.dom.undoButton.disabled = history.index === 0;
+        if (this.dom.redoButton) this.dom.redoButton.disabled = history.index >= history.entries.length;
+        const list = this.dom.editHistoryList;
+        if (!list) return;
+        list.innerHTML = '';
+        if (!history.state) return;
+        [{ label: 'Track loaded' }, ...history.entries].forEach((entry, index) => {
+            const li = document.createElement('li');
+            li.classList.toggle('undone', index > history.index);
+            const button = document.createElement('button');
+            button.className = 'edit-history-entry';
+            button.dataset.historyIndex = index;
+            button.textContent = entry.label;
+            if (index === history.index) {
+                li.classList.add('current');
+                button.setAttribute('aria-current', 'step');
+                button.title = 'Current settings';
+            } else {
+                button.title = `${index < history.index ? 'Undo' : 'Redo'} back to this point`;
+            }
+            li.appendChild(button);
+            list.appendChild(li);
+        });
+        list.querySelector('.current')?.scrollIntoView?.({ block: 'nearest' });
+    }
+
+    updateConsentUI(hasPrefsConsent) {
+        const elementsToToggle = [
+            this.dom.bpmInput,
+            this.dom.loopInInput,
+            this.dom.loopOutInput,
+            this.dom.loopInButton,
+            this.dom.loopOutButton,
+            this.dom.loopToggleButton,
+            this.dom.loopHalveButton,
+            this.dom.loopDoubleButton,
+            ...(this.dom.loopShiftButtons || []),
+            this.dom.reloopButton,
+            this.dom.tapTempoButton,
+            this.dom.downbeatButton,
+            ...(this.dom.beatgridNudgeButtons || []),
+            this.dom.beatsPerBarSelect,
+            ...(this.dom.beatLoopButtons || []),
+            ...(this.dom.cueSetButtons || []),
+            ...(this.dom.cueTimeInputs || []),
+            this.dom.cueColorInput,
+            this.dom.cueLabelInput,
+            this.dom.cueModeSelect,
+            this.dom.loopNameInput,
+            this.dom.loopSaveButton,
+            this.dom.mixInButton,
+            this.dom.mixOutButton,
+            this.dom.mixInInput,
+            this.dom.mixOutInput,
+            this.dom.savedLoopList
+        ];
+
+        elementsToToggle.forEach(el => {
+            if (el) {
+                if (Array.isArray(el)) {
+                    el.forEach(subEl => {
+                        if (subEl) subEl.setAttribute('aria-disabled', String(!hasPrefsConsent));
+                    });
+                } else {
+                    el.setAttribute('aria-disabled', String(!hasPrefsConsent));
+                }
+            }
+        });
+
+
+        if (this.dom.settingsSaveNotice) {
+            this.dom.settingsSaveNotice.style.display = hasPrefsConsent ? 'none' : 'block';
+        }
+    }
+
+
+    checkAutoCrossfade() {
+        if (mixer && this.playerReady && this.playbackState === PLAYER_STATE.PLAYING &&
+            this.trackInfo.duration > 0) {
+            if (!this.stutterFx.activeFxType) {
+                // Remaining time as heard, which the pitch stretches or shortens
+                const remainingTime = (this.trackInfo.duration - this.player.getCurrentTime()) / this.playbackRate;
+                mixer.checkAutoCrossfade(this.deckId, remainingTime, this.getTimeUntilMixOut());
+            }
+        }
+    }
+
+
+    initEventListeners() {
+        this.dom.youtubeUrlInput?.addEventListener('input', () => {
+            if (this.dom.loadButton && !this.isLoading) {
+                 this.dom.loadButton.disabled = this.dom.youtubeUrlInput.value.trim() === '';
+            }
+        });
+        this.dom.loadButton?.addEventListener('click', () => {
+            if (this.isLoading) return;
+            const videoId = parseYouTubeUrl(this.dom.youtubeUrlInput.value);
+            this.loadVideoById(videoId);
+            if (videoId) this.recordAction('loadVideoById', videoId);
+        });
+
+        const addQueueUrls = (text) => {
+            this.addQueueUrls(text);
+            this.recordAction('addQueueUrls', text);
+        };
+        this.dom.queueAddButton?.addEventListener('click', () => addQueueUrls(this.dom.queueUrlInput?.value));
+        this.dom.queueUrlInput?.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') addQueueUrls(this.dom.queueUrlInput.value);
+        });
+        this.dom.queueLoadNextButton?.addEventListener('click', () => {
+            if (this.loadNextFromQueue()) this.recordAction('loadNextFromQueue');
+        });
+        this.dom.queueAutoPlayButton?.addEventListener('click', () => {
+            this.setQueueAutoPlay(!this.queueAutoPlay);
+            this.recordAction('setQueueAutoPlay', this.queueAutoPlay);
+        });
+        this.dom.queueList?.addEventListener('click', (event) => {
+            const target = event.target.closest('button');
+            if (!target) return;
+            const index = parseInt(target.closest('li').dataset.queueIndex, 10);
+
+            if (target.classList.contains('track-queue-up-button')) {
+                this.moveQueuedTrack(index, -1);
+                this.recordAction('moveQueuedTrack', index, -1);
+            } else if (target.classList.contains('track-queue-down-button')) {
+                this.moveQueuedTrack(index, 1);
+                this.recordAction('moveQueuedTrack', index, 1);
+            } else if (target.classList.contains('track-queue-remove-button')) {
+                this.removeQueuedTrack(index);
+                this.recordAction('removeQueuedTrack', index);
+            }
+        });
+
+        this.dom.localFileButton?.addEventListener('click', () => this.dom.localFileInput?.click());
+        this.dom.localFileInput?.addEventListener('change', () => {
+            if (this.isLoading) return;
+            const file = this.dom.localFileInput.files[0];
+            this.loadLocalFile(file);
+            if (file) this.recordAction('loadLocalFile', file.name); // Noted only; a replay can't reopen the file
+            this.dom.localFileInput.value = ''; // Allow picking the same file again
+        });
+
+        this.dom.videoToggleButton?.addEventListener('click', () => {
+            const playerContainer = this.dom.playerContainer;
+            const eyeIcon = this.dom.videoToggleButton?.querySelector('.fa-eye');
+            const eyeSlashIcon = this.dom.videoToggleButton?.querySelector('.fa-eye-slash');
+            playerContainer?.classList.toggle('hidden-player');
+            const isHidden = playerContainer?.classList.contains('hidden-player');
+            if(eyeIcon) eyeIcon.style.display = isHidden ? 'inline-block' : 'none';
+            if(eyeSlashIcon) eyeSlashIcon.style.display = isHidden ? 'none' : 'inline-block';
+            if (this.dom.videoToggleButton) this.dom.videoToggleButton.setAttribute('aria-pressed', String(!isHidden));
+        });
+
+        this.dom.playPauseToggleButton?.addEventListener('click', () => {
+            if (!this.playerReady || !this.player) return; // Check if player object exists and is ready
+            const playing = this.player.getState() !== PLAYER_STATE.PLAYING;
+            this.setPlaying(playing);
+            this.recordAction('setPlaying', playing);
+        });
+
+
+        this.dom.seekSlider?.addEventListener('mousedown', (e) => {
+            if (!this.playerReady || !this.player) return;
+            this.isDraggingSlider = true;
+            this.playbackTimeBeforeSeek = this.player.getCurrentTime();
+        });
+
+        this.dom.seekSlider?.addEventListener('input', (e) => {
+            if (!this.playerReady || !this.player) return;
+            const seekTime = parseFloat(e.target.value);
+            if (this.dom.currentTimeDisplay) {
+                this.dom.currentTimeDisplay.textContent = formatTime(seekTime);
+            }
+        });
+
+        this.dom.seekSlider?.addEventListener('mouseup', (e) => {
+            if (!this.playerReady || !this.player) {
+                this.isDraggingSlider = false;
+                return;
+            }
+            this.isDraggingSlider = false;
+            const seekTime = parseFloat(e.target.value);
+            this.seekTo(seekTime);
+            this.recordAction('seekTo', seekTime);
+        });
+
+        this.dom.volumeSlider?.addEventListener('input', () => {
+            this.updateVolumeFromSlider();
+            this.recordAction('setChannelVolume', this.intendedVolume);
+        });
+        this.dom.volumeSlider?.addEventListener('change', () => this.saveCurrentTrackSettings()); // Once per move, for undo
+        this.dom.gainTrimSlider?.addEventListener('input', (e) => {
+            this.setGainTrim(e.target.value);
+            this.recordAction('setGainTrim', this.gainTrimDb);
+        });
+        this.dom.gainTrimSlider?.addEventListener('dblclick', () => {
+            this.setGainTrim(0);
+            this.recordAction('setGainTrim', 0);
+        });
+        this.dom.envelopeEditor?.addEventListener('pointerdown', (e) => this.onEnvelopePointerDown(e));
+        this.dom.envelopeEditor?.addEventListener('pointermove', (e) => this.onEnvelopePointerMove(e));
+        this.dom.envelopeEditor?.addEventListener('pointerup', () => this.onEnvelopePointerUp());
+        this.dom.envelopeEditor?.addEventListener('pointercancel', () => this.onEnvelopePointerUp());
+        this.dom.envelopeEditor?.addEventListener('dblclick', (e) => {
+            const handle = e.target.closest('.volume-envelope-point');
+            if (handle) this.removeEnvelopePoint(parseInt(handle.dataset.pointIndex, 10));
+        });
+        this.dom.envelopeBypassButton?.addEventListener('click', () => this.toggleEnvelopeBypass());
+        this.dom.envelopeClearButton?.addEventListener('click', () => this.clearVolumeEnvelope());
+        this.dom.undoButton?.addEventListener('click', () => this.undoEdit());
+        this.dom.redoButton?.addEventListener('click', () => this.redoEdit());
+        this.dom.editHistoryList?.addEventListener('click', (event) => {
+            const entry = event.target.closest('.edit-history-entry');
+            if (entry) this.goToEditHistory(parseInt(entry.dataset.historyIndex, 10));
+        });
+        // Ctrl/Cmd+Z, Ctrl/Cmd+Shift+Z and Ctrl+Y work anywhere in the deck except text fields, which keep their own undo.
+        this.dom.deckElement?.addEventListener('keydown', (e) => {
+            if (!(e.ctrlKey || e.metaKey) || e.altKey || e.target.matches('input:not([type="range"]):not([type="button"]), textarea, select')) return;
+            const key = e.key.toLowerCase();
+            if (key === 'z' && !e.shiftKey) {
+                this.undoEdit();
+            } else if ((key === 'z' && e.shiftKey) || (key === 'y' && !e.shiftKey)) {
+                this.redoEdit();
+            } else {
+                return;
+            }
+            e.preventDefault();
+        });
+        this.dom.muteButton?.addEventListener('click', () => {
+            this.toggleMute();
+            this.recordAction('toggleMute');
+        });
+        this.dom.soloButton?.addEventListener('click', () => {
+            this.toggleSolo();
+            this.recordAction('toggleSolo');
+        });
+
+        for (let i = 0; i < MAX_CUE_POINTS; i++) {
+            if (this.dom.cueSetButtons[i]) {
+                this.dom.cueSetButtons[i].addEventListener('click', () => this.setCuePoint(i));
+            }
+            if (this.dom.cueJumpButtons[i]) {
+                // In slip mode cues play while held; keyboard presses (detail 0) still jump as usual.
+                this.dom.cueJumpButtons[i].addEventListener('click', (e) => {
+                    if (this.slip.enabled && e.detail !== 0) return;
+                    this.jumpToCuePoint(i);
+                    this.recordAction('jumpToCuePoint', i);
+                });
+                this.dom.cueJumpButtons[i].addEventListener('pointerdown', (e) => {
+                    if (!this.slip.enabled || e.button !== 0) return;
+                    this.holdCuePoint(i);
+                    this.recordAction('holdCuePoint', i);
+                });
+                ['pointerup', 'pointerleave', 'pointercancel'].forEach(type => {
+                    this.dom.cueJumpButtons[i].addEventListener(type, () => {
+                        if (this.slip.heldCueIndex !== i) return;
+                        this.releaseCuePoint(i);
+                        this.recordAction('releaseCuePoint', i);
+                    });
+                });
+            }
+            if (this.dom.cueEditButtons[i]) {
+                this.dom.cueEditButtons[i].addEventListener('click', () => this.selectCueForEditing(i));
+            }
+            if (this.dom.cueTimeInputs[i]) {
+                const inputField = this.dom.cueTimeInputs[i];
+                const cueIndex = i;
+
+                const handleCueTimeChange = () => {
+                    if (inputField.getAttribute('aria-disabled') === 'true') return;
+                    const parsedTime = parseTimeInput(inputField.value);
+                    if (parsedTime !== null) {
+                        this.setCuePoint(cueIndex, parsedTime);
+                    } else if (inputField.value.trim() === '') {
+                        this.clearCuePoint(cueIndex);
+                    } else {
+                        showNotification(`Invalid time format for Cue ${cueIndex + 1}. Use mm:ss or seconds.`, 'warning');
+                        this.updateCueControls();
+                    }
+                };
+
+                inputField.addEventListener('change', handleCueTimeChange);
+                inputField.addEventListener('keydown', (event) => {
+                    if (event.key === 'Enter') {
+                        event.preventDefault();
+                        handleCueTimeChange();
+                        inputField.blur();
+                    }
+                });
+            }
+        }
+
+        this.dom.cueColorInput?.addEventListener('change', (e) => {if(this.dom.cueColorInput.getAttribute('aria-disabled') !== 'true') this.updateCueProperties({ color: e.target.value })});
+        this.dom.cueLabelInput?.addEventListener('change', (e) => {if(this.dom.cueLabelInput.getAttribute('aria-disabled') !== 'true') this.updateCueProperties({ label: e.target.value.trim() })});
+        this.dom.cueModeSelect?.addEventListener('change', (e) => {if(this.dom.cueModeSelect.getAttribute('aria-disabled') !== 'true') this.updateCueProperties({ mode: e.target.value })});
+
+        this.dom.loopInButton?.addEventListener('click', () => { if(this.dom.loopInButton.getAttribute('aria-disabled') !== 'true') this.setLoopIn()});
+        this.dom.loopInInput?.addEventListener('change', (e) => {if(this.dom.loopInInput.getAttribute('aria-disabled') !== 'true') this.setLoopIn(e.target.value)});
+        this.dom.loopOutButton?.addEventListener('click', () => {if(this.dom.loopOutButton.getAttribute('aria-disabled') !== 'true') this.setLoopOut()});
+        this.dom.loopOutInput?.addEventListener('change', (e) => {if(this.dom.loopOutInput.getAttribute('aria-disabled') !== 'true') this.setLoopOut(e.target.value)});
+        this.dom.loopToggleButton?.addEventListener('click', () => {
+            if (this.dom.loopToggleButton.getAttribute('aria-disabled') === 'true') return;
+            this.toggleLoop();
+            this.recordAction('toggleLoop');
+        });
+        this.dom.mixInButton?.addEventListener('click', () => {if(this.dom.mixInButton.getAttribute('aria-disabled') !== 'true') this.setMixPoint('in')});
+        this.dom.mixOutButton?.addEventListener('click', () => {if(this.dom.mixOutButton.getAttribute('aria-disabled') !== 'true') this.setMixPoint('out')});
+        this.dom.mixInInput?.addEventListener('change', (e) => {if(this.dom.mixInInput.getAttribute('aria-disabled') !== 'true') this.setMixPoint('in', e.target.value)});
+        this.dom.mixOutInput?.addEventListener('change', (e) => {if(this.dom.mixOutInput.getAttribute('aria-disabled') !== 'true') this.setMixPoint('out', e.target.value)});
+        this.dom.loopHalveButton?.addEventListener('click', () => {if(this.dom.loopHalveButton.getAttribute('aria-disabled') !== 'true') this.resizeLoop(0.5)});
+        this.dom.loopDoubleButton?.addEventListener('click', () => {if(this.dom.loopDoubleButton.getAttribute('aria-disabled') !== 'true') this.resizeLoop(2)});
+        this.dom.loopShiftButtons.forEach(button => {
+            button.addEventListener('click', () => {if(button.getAttribute('aria-disabled') !== 'true') this.shiftLoop(parseInt(button.dataset.direction, 10), button.dataset.unit)});
+        });
+        this.dom.reloopButton?.addEventListener('click', () => {
+            if (this.dom.reloopButton.getAttribute('aria-disabled') === 'true') return;
+            this.reloop();
+            this.recordAction('reloop');
+        });
+        this.dom.loopSaveButton?.addEventListener('click', () => {if(this.dom.loopSaveButton.getAttribute('aria-disabled') !== 'true') this.saveLoopToLibrary(this.dom.loopNameInput?.value || '')});
+        this.dom.loopNameInput?.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter' && this.dom.loopNameInput.getAttribute('aria-disabled') !== 'true') this.saveLoopToLibrary(e.target.value);
+        });
+        this.dom.savedLoopList?.addEventListener('click', (event) => {
+            const target = event.target.closest('button');
+            if (!target || this.dom.savedLoopList.getAttribute('aria-disabled') === 'true') return;
+            const index = parseInt(target.closest('li').dataset.loopIndex, 10);
+
+            if (target.classList.contains('saved-loop-recall-button')) {
+                this.recallSavedLoop(index);
+            } else if (target.classList.contains('saved-loop-beat-button')) {
+                this.toggleSavedLoopBeatSync(index);
+            } else if (target.classList.contains('saved-loop-update-button')) {
+                this.updateSavedLoopPoints(index);
+            } else if (target.classList.contains('saved-loop-delete-button')) {
+                if (confirm(`Delete saved loop "${this.savedLoops[index]?.name}"?`)) this.deleteSavedLoop(index);
+            }
+        });
+        this.dom.savedLoopList?.addEventListener('change', (event) => {
+            if (!event.target.classList.contains('saved-loop-name-input') || this.dom.savedLoopList.getAttribute('aria-disabled') === 'true') return;
+            this.renameSavedLoop(parseInt(event.target.closest('li').dataset.loopIndex, 10), event.target.value);
+        });
+        this.dom.beatLoopButtons.forEach(button => {
+            button.addEventListener('click', () => {
+                if (button.getAttribute('aria-disabled') === 'true') return;
+                this.setBeatLoop(button.dataset.beats);
+                this.recordAction('setBeatLoop', button.dataset.beats);
+            });
+        });
+
+        this.dom.bpmInput?.addEventListener('change', (e) => {
+            if (this.dom.bpmInput.getAttribute('aria-disabled') === 'true') return;
+            this.setBPM(e.target.value);
+            this.recordAction('setBPM', this.bpm ?? '');
+        });
+        this.dom.tapTempoButton?.addEventListener('click', () => {
+            if (this.dom.tapTempoButton.getAttribute('aria-disabled') === 'true') return;
+            const previousBpm = this.bpm;
+            this.tapTempo();
+            if (this.bpm !== previousBpm) this.recordAction('setBPM', this.bpm);
+        });
+        this.dom.pitchSlider?.addEventListener('input', (e) => {
+            if (this.dom.pitchDisplay) this.dom.pitchDisplay.textContent = formatPitchPercent(1 + parseFloat(e.target.value) / 100);
+        });
+        // The snapped rate is recorded, so a replay lands on the same tempo whatever the pitch range.
+        const recordTempo = () => this.recordAction('applyPlaybackRate', this.playbackRate, false);
+        this.dom.pitchSlider?.addEventListener('change', (e) => {
+            this.setPitch(e.target.value);
+            recordTempo();
+        });
+        this.dom.pitchSlider?.addEventListener('dblclick', () => {
+            this.applyPlaybackRate(1);
+            recordTempo();
+        });
+        this.dom.pitchRangeSelect?.addEventListener('change', (e) => {
+            this.setPitchRange(e.target.value); // A narrower range can pull the pitch in
+            recordTempo();
+        });
+        this.dom.pitchResetButton?.addEventListener('click', () => {
+            this.applyPlaybackRate(1);
+            recordTempo();
+        });
+        this.dom.downbeatButton?.addEventListener('click', () => {
+            if (this.dom.downbeatButton.getAttribute('aria-disabled') === 'true') return;
+            const previousOffset = this.beatgrid.offset;
+            this.setDownbeat();
+            if (this.beatgrid.offset !== previousOffset) this.recordAction('setDownbeat', this.beatgrid.offset);
+        });
+        this.dom.beatgridNudgeButtons.forEach(button => {
+            button.addEventListener('click', (e) => {
+                if (button.getAttribute('aria-disabled') === 'true') return;
+                const step = e.shiftKey ? BEATGRID_NUDGE_COARSE_SECONDS : BEATGRID_NUDGE_SECONDS;
+                const seconds = Math.sign(parseFloat(button.dataset.nudge)) * step;
+                this.nudgeBeatgrid(seconds);
+                this.recordAction('nudgeBeatgrid', seconds);
+            });
+        });
+        this.dom.slipButton?.addEventListener('click', () => this.setSlipMode(!this.slip.enabled));
+        this.dom.beatJumpButtons.forEach(button => {
+            button.addEventListener('click', () => {
+                const direction = parseInt(button.dataset.direction, 10);
+                this.beatJump(direction);
+                this.recordAction('beatJump', direction);
+            });
+        });
+        this.dom.beatJumpSizeSelect?.addEventListener('change', (e) => this.setBeatJumpSize(e.target.value));
+        this.dom.quantizeButton?.addEventListener('click', () => {
+            this.setQuantize(!this.quantize.enabled);
+            if (uiManager) uiManager.updateGlobalQuantizeUI();
+        });
+        this.dom.beatsPerBarSelect?.addEventListener('change', (e) => {if(this.dom.beatsPerBarSelect.getAttribute('aria-disabled') !== 'true') this.setBeatsPerBar(e.target.value)});
+
+        this.dom.playWithDeckButtons.forEach(button => {
+            button.addEventListener('click', () => {
+                this.playWithDeck(button.dataset.targetDeck);
+                this.recordAction('playWithDeck', button.dataset.targetDeck);
+            });
+        });
+        this.dom.syncButtons.forEach(button => {
+            button.addEventListener('click', () => {
+                this.syncToDeck(button.dataset.targetDeck);
+                this.recordAction('syncToDeck', button.dataset.targetDeck);
+            });
+        });
+
+        const toggleStutterFx = (fxType) => {
+            this.toggleStutterFx(fxType);
+            this.recordAction('toggleStutterFx', fxType);
+        };
+        this.dom.stutterStepButton?.addEventListener('click', () => toggleStutterFx('step'));
+        this.dom.stutterLoopButton?.addEventListener('click', () => toggleStutterFx('loop'));
+        this.dom.stutterRateButton?.addEventListener('click', () => this.cycleStutterRate());
+        this.dom.stutterModeButton?.addEventListener('click', () => this.toggleStutterMode());
+        this.dom.transportFxButtons.forEach(button => {
+            button.addEventListener('click', () => toggleStutterFx(button.dataset.fxType));
+        });
+        this.dom.transportFxBeatSelects.forEach(select => {
+            select.addEventListener('change', (e) => this.setTransportFxBeats(select.dataset.fxType, e.target.value));
+        });
+        this.dom.gateToggleButton?.addEventListener('click', () => this.toggleTranceGate());
+        this.dom.gatePresetSelect?.addEventListener('change', (e) => this.setTranceGatePreset(e.target.value));
+        this.dom.gateStepButtons.forEach(button => {
+            button.addEventListener('click', () => this.toggleTranceGateStep(parseInt(button.dataset.step, 10)));
+        });
+    }
+}
+
+
+// --- Mixer Class ---
+class Mixer {
+    constructor() {
+        this.masterVolumeSlider = document.getElementById('master-volume');
+        this.masterVuMeterBar = document.getElementById('vu-meter-master');
+        this.crossfaders = {
+            'crossfader12': { el: document.getElementById('crossfader12'), deckLeft: 1, deckRight: 2, auto: false, beats: 4, isFading: false, fade: null, pendingTransition: null, transition: DEFAULT_CROSSFADE_TRANSITION, easing: DEFAULT_CROSSFADE_EASING, curve: DEFAULT_CROSSFADER_CURVE },
+            'crossfader23': { el: document.getElementById('crossfader23'), deckLeft: 2, deckRight: 3, auto: false, beats: 4, isFading: false, fade: null, pendingTransition: null, transition: DEFAULT_CROSSFADE_TRANSITION, easing: DEFAULT_CROSSFADE_EASING, curve: DEFAULT_CROSSFADER_CURVE },
+            'crossfader34': { el: document.getElementById('crossfader34'), deckLeft: 3, deckRight: 4, auto: false, beats: 4, isFading: false, fade: null, pendingTransition: null, transition: DEFAULT_CROSSFADE_TRANSITION, easing: DEFAULT_CROSSFADE_EASING, curve: DEFAULT_CROSSFADER_CURVE },
+            'crossfader41': { el: document.getElementById('crossfader41'), deckLeft: 4, deckRight: 1, auto: false, beats: 4, isFading: false, fade: null, pendingTransition: null, transition: DEFAULT_CROSSFADE_TRANSITION, easing: DEFAULT_CROSSFADE_EASING, curve: DEFAULT_CROSSFADER_CURVE },
+        };
+        this.isFourDeckView = false;
+        this.pairwiseFaders = false; // Advanced mode: the 1-2, 2-3, 3-4 and 4-1 ring instead of the assignment matrix
+        this.crossfaderAssignments = [...DEFAULT_CROSSFADER_ASSIGNMENTS];
+        this.crossfaderModeButton = document.getElementById('crossfader-mode-button');
+        this.crossfaderAssignMatrix = document.querySelector('.crossfader-assign-matrix');
+        this.autoDj = {
+            active: false,
+            faderId: null,
+            sourceDeckId: null, // Deck whose track queue Auto-DJ takes its tracks from, so the set can run as long as the queue
+            tracksStarted: 0, // Tracks taken from the queue so far
+            onAirDeckId: null, // Deck playing the current track
+            pendingDeckId: null // Deck holding the preloaded track, or null once the last one plays
+        };
+        this.autoDjButton = document.getElementById('auto-dj-button');
+        this.autoDjPlaylistSelect = document.getElementById('auto-dj-playlist');
+        this.autoDjSourceSelect = document.getElementById('auto-dj-source');
+        this.autoDjFaderSelect = document.getElementById('auto-dj-fader');
+        this.autoDjStatus = document.getElementById('auto-dj-status');
+
+        this.initEventListeners();
+        this.loadPreferences();
+        this.updateMasterVUMeter();
+        this.updateAutoDjUI();
+    }
+
+    /** Restores the crossfader curves, fade easings and transitions, mode and deck assignments saved with the user's preferences. */
+    loadPreferences() {
+        const preferences = storageManager?.loadMixerPreferences();
+        Object.entries(preferences?.crossfaderCurves || {}).forEach(([faderId, curve]) => {
+            if (this.crossfaders[faderId] && CROSSFADER_CURVES[curve]) this.crossfaders[faderId].curve = curve;
+        });
+        Object.entries(preferences?.crossfadeEasings || {}).forEach(([faderId, easing]) => {
+            if (this.crossfaders[faderId] && CROSSFADE_EASINGS[easing]) this.crossfaders[faderId].easing = easing;
+        });
+        Object.entries(preferences?.crossfadeTransitions || {}).forEach(([faderId, transition]) => {
+            if (this.crossfaders[faderId] && CROSSFADE_TRANSITIONS[transition]) this.crossfaders[faderId].transition = transition;
+        });
+        this.pairwiseFaders = preferences?.crossfaderMode === 'pairwise';
+        if (Array.isArray(preferences?.crossfaderAssignments)) {
+            this.crossfaderAssignments = DEFAULT_CROSSFADER_ASSIGNMENTS.map((fallback, i) =>
+                CROSSFADER_ASSIGNMENTS[preferences.crossfaderAssignments[i]] || fallback);
+        }
+        Object.keys(this.crossfaders).forEach(faderId => {
+            this.updateCrossfaderCurveUI(faderId);
+            this.updateCrossfadeControlsUI(faderId);
+        });
+        this.updateCrossfaderModeUI();
+    }
+
+    savePreferences() {
+        const crossfaderCurves = {};
+        const crossfadeEasings = {};
+        const crossfadeTransitions = {};
+        Object.entries(this.crossfaders).forEach(([faderId, faderConfig]) => {
+            crossfaderCurves[faderId] = faderConfig.curve;
+            crossfadeEasings[faderId] = faderConfig.easing;
+            crossfadeTransitions[faderId] = faderConfig.transition;
+        });
+        storageManager?.saveMixerPreferences({
+            crossfaderCurves,
+            crossfadeEasings,
+            crossfadeTransitions,
+            crossfaderMode: this.pairwiseFaders ? 'pairwise' : 'matrix',
+            crossfaderAssignments: this.crossfaderAssignments
+        });
+    }
+
+    /** Decks 3 and 4 only take part in the 4-deck view. */
+    isDeckActive(deckNumber) {
+        return deckNumber <= 2 || this.isFourDeckView;
+    }
+
+    /** Whether a crossfader is on screen and mixing in the current view and mode. */
+    isFaderInUse(faderId) {
+        return faderId === MAIN_CROSSFADER_ID || (this.pairwiseFaders && this.isFourDeckView);
+    }
+
+    usesAssignmentMatrix(faderId) {
+        return !this.pairwiseFaders && faderId === MAIN_CROSSFADER_ID;
+    }
+
+    /**
+     * Numbers of the active decks a crossfader fades in as it moves towards one side.
+     * The main fader follows the assignment matrix; pairwise faders have one fixed deck per side.
+     * @param {string} faderId
+     * @param {'left'|'right'} side - Left is side A of the main fader.
+     * @returns {number[]}
+     */
+    getFaderSideDecks(faderId, side) {
+        const faderConfig = this.crossfaders[faderId];
+        if (!faderConfig) return [];
+        if (this.usesAssignmentMatrix(faderId)) {
+            const assignment = side === 'left' ? CROSSFADER_ASSIGNMENTS.A : CROSSFADER_ASSIGNMENTS.B;
+            return this.crossfaderAssignments
+                .map((deckAssignment, i) => (deckAssignment === assignment ? i + 1 : null))
+                .filter(deckNumber => deckNumber !== null && this.isDeckActive(deckNumber));
+        }
+        return [side === 'left' ? faderConfig.deckLeft : faderConfig.deckRight];
+    }
+
+    /** @returns {'left'|'right'|null} The side of the crossfader a deck is on, or null if it is not on it. */
+    getDeckFaderSide(faderId, deckNumber) {
+        if (this.getFaderSideDecks(faderId, 'left').includes(deckNumber)) return 'left';
+        if (this.getFaderSideDecks(faderId, 'right').includes(deckNumber)) return 'right';
+        return null;
+    }
+
+    /**
+     * The deck that stands for one side of a crossfader in automated fades: the one playing,
+     * else the first with a track loaded, else the first on that side.
+     * @returns {Deck|null}
+     */
+    getSideLeadDeck(faderId, side) {
+        const decks = this.getFaderSideDecks(faderId, side).map(deckNumber => deckObjects[deckNumber - 1]).filter(Boolean);
+        return decks.find(deck => deck.playbackState === PLAYER_STATE.PLAYING)
+            || decks.find(deck => deck.currentVideoId)
+            || decks[0]
+            || null;
+    }
+
+    /**
+     * Switches between the A/B main fader with its assignment matrix and the advanced
+     * pairwise ring of faders (which only adds faders in the 4-deck view).
+     * @param {boolean} enabled
+     */
+    setPairwiseFaders(enabled) {
+        enabled = !!enabled;
+        if (this.pairwiseFaders === enabled) return;
+        if (this.autoDj.active) this.stopAutoDj('Auto-DJ stopped: the crossfader mode changed.');
+        Object.keys(this.crossfaders).forEach(faderId => this.abortCrossfade(faderId, false));
+        this.pairwiseFaders = enabled;
+        if (!enabled) ['crossfader23', 'crossfader34', 'crossfader41'].forEach(faderId => this.setAutoCrossfade(faderId, false));
+        this.updateCrossfaderModeUI();
+        if (uiManager) uiManager.updateCrossfaderSectionsUI();
+        this.updateAllDeckVolumes();
+        this.savePreferences();
+        showNotification(enabled ? 'Pairwise crossfaders on: decks mix through the 1-2, 2-3, 3-4 and 4-1 faders.' : 'Assignment matrix on: decks mix through the main A/B crossfader.', 'info');
+    }
+
+    /**
+     * @param {number} deckNumber - 1 to MAX_DECKS.
+     * @param {string} assignment - One of CROSSFADER_ASSIGNMENTS.
+     */
+    setCrossfaderAssignment(deckNumber, assignment) {
+        if (!CROSSFADER_ASSIGNMENTS[assignment] || deckNumber < 1 || deckNumber > MAX_DECKS) return;
+        if (this.crossfaderAssignments[deckNumber - 1] === assignment) return;
+        if (this.autoDj.active && this.usesAssignmentMatrix(this.autoDj.faderId)) {
+            this.stopAutoDj('Auto-DJ stopped: the crossfader assignment changed.');
+        }
+        this.crossfaderAssignments[deckNumber - 1] = assignment;
+        this.updateCrossfaderModeUI();
+        this.updateAllDeckVolumes();
+        this.savePreferences();
+        showNotification(`Deck ${deckNumber} ${assignment === CROSSFADER_ASSIGNMENTS.THRU ? 'bypasses the crossfader (THRU)' : `assigned to crossfader side ${assignment}`}.`, 'info');
+    }
+
+    updateCrossfaderModeUI() {
+        if (this.crossfaderModeButton) {
+            this.crossfaderModeButton.classList.toggle('active', this.pairwiseFaders);
+            this.crossfaderModeButton.setAttribute('aria-pressed', String(this.pairwiseFaders));
+        }
+        this.crossfaderAssignMatrix?.classList.toggle('hidden-by-default', this.pairwiseFaders);
+        document.querySelectorAll('.crossfader-assign-row').forEach(row => {
+            row.classList.toggle('hidden-by-default', !this.isDeckActive(parseInt(row.dataset.deckNumber, 10)));
+        });
+        document.querySelectorAll('.crossfader-assign-button').forEach(btn => {
+            const isActive = this.crossfaderAssignments[parseInt(btn.dataset.deckNumber, 10) - 1] === btn.dataset.assign;
+            btn.classList.toggle('active', isActive);
+            btn.setAttribute('aria-pressed', String(isActive));
+        });
+        document.querySelectorAll(`.fader-side-label[data-fader-id="${MAIN_CROSSFADER_ID}"]`).forEach(label => {
+            const isLeft = label.dataset.side === 'left';
+            label.textContent = this.pairwiseFaders ? (isLeft ? 'Deck 1' : 'Deck 2') : (isLeft ? 'A' : 'B');
+        });
+        const mainFaderOption = this.autoDjFaderSelect?.querySelector(`option[value="${MAIN_CROSSFADER_ID}"]`);
+        if (mainFaderOption) mainFaderOption.textContent = this.pairwiseFaders ? 'Deck 1 / Deck 2' : 'Main (A / B)';
+    }
+
+    setCrossfaderCurve(faderId, curve) {
+        const faderConfig = this.crossfaders[faderId];
+        if (!faderConfig || !CROSSFADER_CURVES[curve]) return;
+        faderConfig.curve = curve;
+        this.updateCrossfaderCurveUI(faderId);
+        this.updateAllDeckVolumes();
+        this.savePreferences();
+        showNotification(`${CROSSFADER_CURVES[curve].label} curve selected for ${faderId}.`, 'info');
+    }
+
+    updateCrossfaderCurveUI(faderId) {
+        document.querySelectorAll(`.crossfader-curve-button[data-fader-id="${faderId}"]`).forEach(btn => {
+            const isActive = btn.dataset.curve === this.crossfaders[faderId].curve;
+            btn.classList.toggle('active', isActive);
+            btn.setAttribute('aria-pressed', String(isActive));
+        });
+    }
+
+    /**
+     * Draws a curve's gain for both sides of the fader into the button's small SVG,
+     * fader travel along the x axis and level up the y axis.
+     * @param {HTMLElement} button - A `.crossfader-curve-button` with `data-curve`.
+     */
+    drawCrossfaderCurveIcon(button) {
+        const svg = button.querySelector('.crossfader-curve-icon');
+        const curve = CROSSFADER_CURVES[button.dataset.curve];
+        if (!svg || !curve) return;
+        const width = 40, height = 20, samples = 40;
+        const toPoints = (gainAt) => Array.from({ length: samples + 1 }, (_, i) => {
+            const travel = i / samples;
+            return `${(travel * width).toFixed(1)},${(height - 1 - gainAt(travel) * (height - 2)).toFixed(1)}`;
+        }).join(' ');
+        svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+        svg.innerHTML = '';
+        [['crossfader-curve-left', (travel) => curve.gain(1 - travel)], ['crossfader-curve-right', (travel) => curve.gain(travel)]].forEach(([className, gainAt]) => {
+            const line = document.createElementNS('http://www.w3.org/2000/svg', 'polyline');
+            line.setAttribute('class', className);
+            line.setAttribute('points', toPoints(gainAt));
+            svg.appendChild(line);
+        });
+    }
+
+    initEventListeners() {
+        this.masterVolumeSlider?.addEventListener('input', () => {
+            this.updateAllDeckVolumes();
+            this.updateMasterVUMeter();
+            this.recordAction('setMasterVolume', parseInt(this.masterVolumeSlider.value, 10));
+        });
+
+        Object.keys(this.crossfaders).forEach(faderId => {
+            const faderConfig = this.crossfaders[faderId];
+            if (!faderConfig.el) {
+                console.warn(`Crossfader element ${faderId} not found.`);
+                return;
+            }
+            // Grabbing the fader hands it back to the user, mid-fade or not.
+            faderConfig.el.addEventListener('pointerdown', () => {
+                if (!faderConfig.isFading) return;
+                this.abortCrossfade(faderId);
+                this.recordAction('abortCrossfade', faderId);
+            });
+            faderConfig.el.addEventListener('input', () => {
+                this.abortCrossfade(faderId);
+                this.updateAllDeckVolumes();
+                this.recordAction('setCrossfaderPosition', faderId, this.getCrossfaderValue(faderId));
+            });
+
+            document.querySelectorAll(`.crossfade-beats-button[data-fader-id="${faderId}"]`).forEach(btn => {
+                btn.addEventListener('click', () => {
+                    faderConfig.beats = parseInt(btn.dataset.beats);
+                    document.querySelectorAll(`.crossfade-beats-button[data-fader-id="${faderId}"]`).forEach(b => b.classList.remove('active'));
+                    btn.classList.add('active');
+                     showNotification(`${faderConfig.beats}-Beat crossfade selected for ${faderId}.`, 'info');
+                });
+            });
+            document.querySelectorAll(`.crossfader-curve-button[data-fader-id="${faderId}"]`).forEach(btn => {
+                this.drawCrossfaderCurveIcon(btn);
+                btn.addEventListener('click', () => this.setCrossfaderCurve(faderId, btn.dataset.curve));
+            });
+            document.querySelector(`.auto-crossfade-toggle[data-fader-id="${faderId}"]`)?.addEventListener('click', () => {
+                if (this.autoDj.active && this.autoDj.faderId === faderId) {
+                    showNotification(`Auto-DJ is mixing on ${faderId}. Stop it to use Auto crossfade.`, 'warning');
+                    return;
+                }
+                this.setAutoCrossfade(faderId, !faderConfig.auto);
+                this.recordAction('setAutoCrossfade', faderId, faderConfig.auto);
+                showNotification(`Auto-crossfade ${faderConfig.auto ? 'ON' : 'OFF'} for ${faderId}.`, 'info');
+            });
+            document.querySelector(`.trigger-immediate-crossfade-button[data-fader-id="${faderId}"]`)?.addEventListener('click', () => {
+                const action = faderConfig.isFading ? 'abortCrossfade' : 'triggerCrossfade';
+                this[action](faderId);
+                this.recordAction(action, faderId);
+            });
+            document.querySelector(`.reverse-crossfade-button[data-fader-id="${faderId}"]`)?.addEventListener('click', () => {
+                if (!faderConfig.fade) return;
+                this.reverseCrossfade(faderId);
+                this.recordAction('reverseCrossfade', faderId);
+            });
+            document.querySelector(`.crossfade-easing-select[data-fader-id="${faderId}"]`)?.addEventListener('change', (e) => this.setCrossfadeEasing(faderId, e.target.value));
+            document.querySelector(`.crossfade-transition-select[data-fader-id="${faderId}"]`)?.addEventListener('change', (e) => this.setCrossfadeTransition(faderId, e.target.value));
+            this.updateCrossfadeControlsUI(faderId);
+        });
+
+        // The fade progress bars follow the fade events like any other listener would.
+        document.addEventListener(CROSSFADE_EVENTS.PROGRESS, (e) => this.updateCrossfadeProgressUI(e.detail.faderId, e.detail.progress));
+        document.addEventListener(CROSSFADE_EVENTS.COMPLETE, (e) => this.updateCrossfadeProgressUI(e.detail.faderId, null));
+        // A frame requested before the tab was hidden won't run until it's visible again.
+        document.addEventListener('visibilitychange', () => {
+            Object.entries(this.crossfaders).forEach(([faderId, faderConfig]) => {
+                if (!faderConfig.fade) return;
+                this.cancelFadeFrame(faderConfig.fade);
+                this.scheduleFadeFrame(faderId);
+            });
+        });
+
+        this.crossfaderModeButton?.addEventListener('click', () => this.setPairwiseFaders(!this.pairwiseFaders));
+        this.crossfaderAssignMatrix?.addEventListener('click', (event) => {
+            const btn = event.target.closest('.crossfader-assign-button');
+            if (btn) this.setCrossfaderAssignment(parseInt(btn.dataset.deckNumber, 10), btn.dataset.assign);
+        });
+
+        this.autoDjButton?.addEventListener('click', () => {
+            if (this.autoDj.active) {
+                this.stopAutoDj('Auto-DJ stopped.');
+                this.recordAction('stopAutoDj', 'Auto-DJ stopped.');
+                return;
+            }
+            const sourceDeckId = this.autoDjSourceSelect?.value;
+            const faderId = this.autoDjFaderSelect?.value;
+            const playlistName = this.autoDjPlaylistSelect?.value || null;
+            if (!this.startAutoDj(sourceDeckId, faderId, playlistName)) return;
+            // The playlist goes in as its tracks, so a replay doesn't need it saved.
+            const playlistVideoIds = playlistName ? playlistManager?.getPlaylistVideoIds(playlistName) : null;
+            if (playlistVideoIds) deckObjects.find(deck => deck.deckId === sourceDeckId).recordAction('addToQueue', playlistVideoIds);
+            this.recordAction('startAutoDj', sourceDeckId, faderId);
+        });
+    }
+
+    /** Logs a performance action to the set recorder; see SET_RECORDER_MIXER_ACTIONS. */
+    recordAction(action, ...args) {
+        setRecorder?.record(action, args);
+    }
+
+    setMasterVolume(volume) {
+        if (!this.masterVolumeSlider) return;
+        this.masterVolumeSlider.value = volume;
+        this.updateAllDeckVolumes();
+    }
+
+    /** Puts a crossfader at `value` (0 to 100) as if moved by hand, stopping any fade on it. */
+    setCrossfaderPosition(faderId, value) {
+        const faderConfig = this.crossfaders[faderId];
+        if (!faderConfig?.el) return;
+        this.abortCrossfade(faderId, false);
+        faderConfig.el.value = value;
+        this.updateAllDeckVolumes();
+    }
+
+    setAutoCrossfade(faderId, enabled) {
+        const faderConfig = this.crossfaders[faderId];
+        if (!faderConfig) return;
+        faderConfig.auto = !!enabled;
+        const autoToggleButton = document.querySelector(`.auto-crossfade-toggle[data-fader-id="${faderId}"]`);
+        if (autoToggleButton) {
+            autoToggleButton.classList.toggle('active', faderConfig.auto);
+            autoToggleButton.setAttribute('aria-pressed', String(faderConfig.auto));
+        }
+    }
+
+    updateMasterVUMeter() {
+        if (!this.masterVuMeterBar || !this.masterVolumeSlider) return;
+        const masterLevel = parseInt(this.masterVolumeSlider.value, 10);
+        this.masterVuMeterBar.style.setProperty('--vu-level', `${masterLevel}%`);
+    }
+
+    getCrossfaderValue(faderId) {
+        const fader = this.crossfaders[faderId];
+        return fader && fader.el ? parseInt(fader.el.value, 10) : 50;
+    }
+
+    /**
+     * Gain a crossfader passes to one of its decks, shaped by the fader's curve.
+     * Manual moves and automated fades both go through here, as both just move the fader.
+     * @param {string} faderId
+     * @param {'left'|'right'} side
+     * @returns {number} 0 to 1
+     */
+    getCrossfaderGain(faderId, side) {
+        const value = this.getCrossfaderValue(faderId);
+        const position = side === 'left' ? (100 - value) / 100 : value / 100;
+        const curve = CROSSFADER_CURVES[this.crossfaders[faderId]?.curve] || CROSSFADER_CURVES[DEFAULT_CROSSFADER_CURVE];
+        return Math.max(0, Math.min(1, curve.gain(position)));
+    }
+
+    /** Whether another active deck is soloed while this one is not. */
+    isSilencedBySolo(deckNumber) {
+        const isAnySoloed = deckObjects.some((deck, i) => deck?.isSoloed && this.isDeckActive(i + 1));
+        return isAnySoloed && !deckObjects[deckNumber - 1]?.isSoloed;
+    }
+
+    /** The deck's player volume, 0 to 100. */
+    calculateEffectiveVolume(deckNumber) {
+        return Math.round(Math.max(0, Math.min(100, this.calculateDeckLevel(deckNumber))));
+    }
+
+    /**
+     * The deck's level before the player's 0 to 100 range caps it. Gain trim and the volume
+     * envelope can push it past 100, which the player can't play any louder.
+     */
+    calculateDeckLevel(deckNumber) {
+        const deck = deckObjects[deckNumber - 1];
+        if (!deck || !this.masterVolumeSlider) return 0;
+
+        if (!this.isDeckActive(deckNumber)) return 0;
+        if (deck.isMuted || this.isSilencedBySolo(deckNumber)) return 0;
+        const masterVolFactor = parseInt(this.masterVolumeSlider.value, 10) / 100;
+        let combinedCrossfaderFactor = 1.0;
+
+        if (!this.pairwiseFaders) {
+            const assignment = this.crossfaderAssignments[deckNumber - 1];
+            if (assignment !== CROSSFADER_ASSIGNMENTS.THRU) {
+                combinedCrossfaderFactor *= this.getCrossfaderGain(MAIN_CROSSFADER_ID, assignment === CROSSFADER_ASSIGNMENTS.A ? 'left' : 'right');
+            }
+        }
+        else if (deckNumber === 1) {
+            combinedCrossfaderFactor *= this.getCrossfaderGain('crossfader12', 'left');
+            if (this.isFourDeckView) {
+                combinedCrossfaderFactor *= this.getCrossfaderGain('crossfader41', 'right');
+            }
+        }
+        else if (deckNumber === 2) {
+            combinedCrossfaderFactor *= this.getCrossfaderGain('crossfader12', 'right');
+            if (this.isFourDeckView) {
+                combinedCrossfaderFactor *= this.getCrossfaderGain('crossfader23', 'left');
+            }
+        }
+        else if (deckNumber === 3 && this.isFourDeckView) {
+            combinedCrossfaderFactor *= this.getCrossfaderGain('crossfader23', 'right');
+            combinedCrossfaderFactor *= this.getCrossfaderGain('crossfader34', 'left');
+        }
+        else if (deckNumber === 4 && this.isFourDeckView) {
+            combinedCrossfaderFactor *= this.getCrossfaderGain('crossfader34', 'right');
+            combinedCrossfaderFactor *= this.getCrossfaderGain('crossfader41', 'left');
+        }
+
+        return deck.intendedVolume * deck.getGainTrimFactor() * deck.getEnvelopeGain() * masterVolFactor * combinedCrossfaderFactor;
+    }
+
+    updateAllDeckVolumes() {
+        deckObjects.forEach((deck, index) => {
+            if (deck) this.applyDeckVolume(index + 1);
+        });
+        this.updateMasterVUMeter();
+        tracklistLogger?.update();
+    }
+
+    updateDeckVolume(deckNumber) {
+        this.applyDeckVolume(deckNumber);
+        tracklistLogger?.update();
+    }
+
+    applyDeckVolume(deckNumber) {
+        const deck = deckObjects[deckNumber - 1];
+        if (!deck) return;
+        const level = this.calculateDeckLevel(deckNumber);
+        deck.setEffectiveVolume(Math.round(Math.max(0, Math.min(100, level))));
+        deck.updateChannelStateUI(this.isSilencedBySolo(deckNumber), level > 100);
+    }
+
+    setDeckViewMode(isFourDeck) {
+        const oldViewIsFourDeck = this.isFourDeckView;
+        this.isFourDeckView = isFourDeck;
+
+        if (this.isFourDeckView && !oldViewIsFourDeck) {
+            if (deckObjects[2]) {
+                deckObjects[2].intendedVolume = 0;
+                if (deckObjects[2].dom.volumeSlider) deckObjects[2].dom.volumeSlider.value = 0;
+            }
+            if (deckObjects[3]) {
+                deckObjects[3].intendedVolume = 0;
+                if (deckObjects[3].dom.volumeSlider) deckObjects[3].dom.volumeSlider.value = 0;
+            }
+
+            if (this.crossfaders['crossfader23'] && this.crossfaders['crossfader23'].el) {
+                this.crossfaders['crossfader23'].el.value = 0;
+            }
+            if (this.crossfaders['crossfader34'] && this.crossfaders['crossfader34'].el) {
+                this.crossfaders['crossfader34'].el.value = 50;
             }
+            if (this.crossfaders['crossfader41'] && this.crossfaders['crossfader41'].el) {
+                this.crossfaders['crossfader41'].el.value = 100;
+            }
+        }
 
-            this.cuePoints.forEach((cueTime, index) => {
-                if (this.dom.cueTimeInputs[index]) {
-                    this.dom.cueTimeInputs[index].value = cueTime !== null ? formatTime(cueTime) : '';
-                    if(cueTime === null) this.dom.cueTimeInputs[index].placeholder = '-:--';
+        if (!isFourDeck) {
+            ['crossfader23', 'crossfader34', 'crossfader41'].forEach(faderId => {
+                this.abortCrossfade(faderId, false);
+                if (this.crossfaders[faderId] && this.crossfaders[faderId].el) {
+                    this.crossfaders[faderId].el.value = 50;
+                }
+                if (this.crossfaders[faderId]) {
+                    this.crossfaders[faderId].auto = false;
+                }
+                const autoToggleButton = document.querySelector(`.auto-crossfade-toggle[data-fader-id="${faderId}"]`);
+                if (autoToggleButton) {
+                    autoToggleButton.classList.remove('active');
+                    autoToggleButton.setAttribute('aria-pressed', 'false');
                 }
             });
-            this.updateCueMarkers();
+        }
+        this.updateCrossfaderModeUI();
+        this.updateAllDeckVolumes();
+    }
 
-            this.loop.in = settings.loopIn !== undefined ? settings.loopIn : null;
-            if(this.dom.loopInInput) this.dom.loopInInput.value = this.loop.in !== null ? this.loop.in.toFixed(1) : '';
+    /** Crossfade length in seconds: the fader's beat count at the outgoing deck's tempo, or 2s without a BPM. */
+    getCrossfadeDurationSeconds(faderId, fadeOutDeck) {
+        const fadeOutBpm = fadeOutDeck.getEffectiveBpm();
+        return fadeOutBpm ? (this.crossfaders[faderId].beats / fadeOutBpm) * 60 : 2;
+    }
 
-            this.loop.out = settings.loopOut !== undefined ? settings.loopOut : null;
-            if(this.dom.loopOutInput) this.dom.loopOutInput.value = this.loop.out !== null ? this.loop.out.toFixed(1) : '';
+    /**
+     * @param {string} faderId
+     * @param {boolean|null} toRight - Direction; null fades away from the dominant side.
+     * @param {Function|null} onComplete - Called with the deck that faded out, once the fader arrives.
+     * @returns {boolean} Whether a crossfade started.
+     */
+    triggerCrossfade(faderId, toRight = null, onComplete = null) {
+        const faderConfig = this.crossfaders[faderId];
+        if (!faderConfig || faderConfig.isFading || !faderConfig.el) return false;
 
-            this.updateLoopRangeMarker();
+        const deckLeft = this.getSideLeadDeck(faderId, 'left');
+        const deckRight = this.getSideLeadDeck(faderId, 'right');
 
-            this.bpm = settings.bpm !== undefined ? settings.bpm : null;
-            if(this.dom.bpmInput) this.dom.bpmInput.value = this.bpm !== null ? this.bpm.toFixed(1) : '';
+        if (!deckLeft || !deckRight) {
+            showNotification(`Assign a deck to each side of ${faderId} to crossfade.`, "warning");
+            return false;
+        }
+        if (!deckLeft.playerReady || !deckRight.playerReady) {
+            showNotification("Both decks on crossfader must be loaded and players ready.", "warning");
+            return false;
+        }
 
-            this.loop.selectedBeatLoopLength = settings.selectedBeatLoopLength !== undefined ? settings.selectedBeatLoopLength : null;
-            this.updateActiveBeatLoopButton();
+        let fadeOutDeck, fadeInDeck, targetFaderValue;
+        const currentFaderValue = parseInt(faderConfig.el.value, 10);
 
-            if (settings.intendedVolume !== undefined) {
-                this.intendedVolume = settings.intendedVolume;
-                if(this.dom.volumeSlider) this.dom.volumeSlider.value = this.intendedVolume;
-                if (mixer) mixer.updateAllDeckVolumes();
+        if (toRight === null) {
+            if (currentFaderValue > 50) {
+                 toRight = false;
+            } else if (currentFaderValue < 50) {
+                 toRight = true;
+            } else {
+                toRight = deckLeft.playbackState === PLAYER_STATE.PLAYING ? true : (deckRight.playbackState === PLAYER_STATE.PLAYING ? false : true);
             }
-            showNotification(`Settings loaded for track on ${this.deckId}`, 'info');
+        }
+
+        if (toRight) {
+            fadeOutDeck = deckLeft; fadeInDeck = deckRight; targetFaderValue = 100;
         } else {
-            this.cuePoints = new Array(MAX_CUE_POINTS).fill(null);
-            this.dom.cueTimeInputs.forEach(input => {
-                if (input) input.value = ''; input.placeholder = '-:--';
+            fadeOutDeck = deckRight; fadeInDeck = deckLeft; targetFaderValue = 0;
+        }
+
+
+        const fadeOutBpm = fadeOutDeck.getEffectiveBpm();
+        if (!fadeOutBpm) {
+            showNotification(`Set BPM on ${fadeOutDeck.deckId} for beat-matched crossfade. Using 2s fade.`, "warning");
+        }
+        if (!fadeInDeck.currentVideoId) {
+            showNotification(`Load a track on ${fadeInDeck.deckId}.`, "warning");
+            return false;
+        }
+
+        const fadeDurationSeconds = this.getCrossfadeDurationSeconds(faderId, fadeOutDeck);
+        const transition = faderConfig.transition;
+
+        const runTransition = () => {
+            faderConfig.pendingTransition = null;
+            if (fadeInDeck.playbackState !== PLAYER_STATE.PLAYING) {
+                fadeInDeck.player.play();
+            }
+            if (transition === 'loopOut' && !fadeOutDeck.startTransitionLoop(faderConfig.beats)) {
+                showNotification(`Loop-out needs a BPM on ${fadeOutDeck.deckId}. Fading without the loop.`, 'warning');
+            } else if (transition === 'echoOut') {
+                fadeOutDeck.startEchoOut();
+            }
+            this.startFade(faderId, {
+                fromValue: parseFloat(faderConfig.el.value),
+                toValue: targetFaderValue,
+                durationMs: transition === 'cut' ? 0 : fadeDurationSeconds * 1000,
+                fadeOutDeck,
+                fadeInDeck,
+                onComplete,
+                transition,
+                reversed: false
             });
-            this.updateCueMarkers();
+        };
+
+        const waitSeconds = fadeOutDeck.getTimeUntilNextBar();
+        const description = transition === 'cut' ? 'Cut' : `${CROSSFADE_TRANSITIONS[transition]} over ${faderConfig.beats} beats`;
+        if (waitSeconds) {
+            faderConfig.isFading = true;
+            faderConfig.pendingTransition = { timeoutId: setTimeout(runTransition, waitSeconds * 1000) };
+            this.updateCrossfadeControlsUI(faderId);
+            showNotification(`${description} on ${faderId} at the next bar of ${fadeOutDeck.deckId}...`, 'info');
+        } else {
+            runTransition();
+             showNotification(`${description} on ${faderId}...`, 'info');
         }
+        return true;
     }
 
-    updateConsentUI(hasPrefsConsent) {
-        const elementsToToggle = [
-            this.dom.bpmInput,
-            this.dom.loopInInput,
-            this.dom.loopOutInput,
-            this.dom.loopInButton,
-            this.dom.loopOutButton,
-            this.dom.loopToggleButton,
-            this.dom.tapTempoButton,
-            ...(this.dom.beatLoopButtons || []),
-            ...(this.dom.cueSetButtons || []),
-            ...(this.dom.cueTimeInputs || [])
-        ];
+    setCrossfadeTransition(faderId, transition) {
+        const faderConfig = this.crossfaders[faderId];
+        if (!faderConfig || !CROSSFADE_TRANSITIONS[transition]) return;
+        faderConfig.transition = transition;
+        this.updateCrossfadeControlsUI(faderId);
+        this.savePreferences();
+        showNotification(`${CROSSFADE_TRANSITIONS[transition]} transition selected for ${faderId}.`, 'info');
+    }
 
-        elementsToToggle.forEach(el => {
-            if (el) {
-                if (Array.isArray(el)) {
-                    el.forEach(subEl => {
-                        if (subEl) subEl.setAttribute('aria-disabled', String(!hasPrefsConsent));
-                    });
-                } else {
-                    el.setAttribute('aria-disabled', String(!hasPrefsConsent));
-                }
-            }
-        });
+    /** Releases the loop or echo a loop-out or echo-out transition put on the outgoing deck. */
+    endTransitionEffects(fade) {
+        if (fade.transition === 'loopOut') {
+            fade.fadeOutDeck.endTransitionLoop();
+        } else if (fade.transition === 'echoOut' && fade.fadeOutDeck.stutterFx.activeFxType === 'loop') {
+            fade.fadeOutDeck.stopStutterFx(true);
+        }
+    }
 
+    /**
+     * Runs an automated fade. The fader position is worked out from the time since the fade
+     * started on every frame, so a busy tab drops frames instead of stretching the fade.
+     * @param {string} faderId
+     * A zero duration jumps straight to the end.
+     * @param {{fromValue: number, toValue: number, durationMs: number, fadeOutDeck: Deck, fadeInDeck: Deck, onComplete: Function|null, transition: string, reversed: boolean}} fade
+     */
+    startFade(faderId, fade) {
+        const faderConfig = this.crossfaders[faderId];
+        faderConfig.fade = { ...fade, startedAt: performance.now(), frameId: null, timeoutId: null };
+        faderConfig.isFading = true;
+        this.updateCrossfadeControlsUI(faderId);
+        this.dispatchCrossfadeEvent(faderId, CROSSFADE_EVENTS.START, 0);
+        this.runFadeFrame(faderId);
+    }
 
-        if (this.dom.settingsSaveNotice) {
-            this.dom.settingsSaveNotice.style.display = hasPrefsConsent ? 'none' : 'block';
+    // Animation frames stop in hidden tabs, where the fade falls back to timers.
+    scheduleFadeFrame(faderId) {
+        const fade = this.crossfaders[faderId].fade;
+        if (document.hidden || typeof requestAnimationFrame !== 'function') {
+            fade.timeoutId = setTimeout(() => this.runFadeFrame(faderId), CROSSFADE_HIDDEN_FRAME_MS);
+        } else {
+            fade.frameId = requestAnimationFrame(() => this.runFadeFrame(faderId));
         }
     }
 
+    cancelFadeFrame(fade) {
+        if (fade.frameId !== null) cancelAnimationFrame(fade.frameId);
+        clearTimeout(fade.timeoutId);
+        fade.frameId = null;
+        fade.timeoutId = null;
+    }
 
-    checkAutoCrossfade() {
-        if (mixer && this.playerReady && this.playbackState === YT.PlayerState.PLAYING &&
-            this.trackInfo.duration > 0 && typeof this.player.getCurrentTime === 'function') {
-            if (!this.stutterFx.activeFxType) {
-                const remainingTime = this.trackInfo.duration - this.player.getCurrentTime();
-                mixer.checkAutoCrossfade(this.deckId, remainingTime);
-            }
+    runFadeFrame(faderId) {
+        const faderConfig = this.crossfaders[faderId];
+        const fade = faderConfig.fade;
+        if (!fade) return;
+        fade.frameId = null;
+        fade.timeoutId = null;
+
+        const progress = fade.durationMs > 0 ? Math.min(1, (performance.now() - fade.startedAt) / fade.durationMs) : 1;
+        const easing = CROSSFADE_EASINGS[faderConfig.easing] || CROSSFADE_EASINGS[DEFAULT_CROSSFADE_EASING];
+        faderConfig.el.value = fade.fromValue + (fade.toValue - fade.fromValue) * easing.ease(progress);
+        this.updateAllDeckVolumes();
+
+        if (progress >= 1) {
+            this.finishFade(faderId);
+            return;
         }
+        this.dispatchCrossfadeEvent(faderId, CROSSFADE_EVENTS.PROGRESS, progress);
+        this.scheduleFadeFrame(faderId);
     }
 
+    finishFade(faderId) {
+        const faderConfig = this.crossfaders[faderId];
+        const fade = faderConfig.fade;
+        faderConfig.el.value = fade.toValue;
+        this.updateAllDeckVolumes();
+        faderConfig.fade = null;
+        faderConfig.isFading = false;
+        this.endTransitionEffects(fade);
+        this.updateCrossfadeControlsUI(faderId);
+        this.dispatchCrossfadeEvent(faderId, CROSSFADE_EVENTS.COMPLETE, 1, fade);
+         showNotification(`Crossfade on ${faderId} complete.`, 'success');
+        if (fade.onComplete) fade.onComplete(fade.fadeOutDeck);
+    }
 
-    initEventListeners() {
-        this.dom.youtubeUrlInput?.addEventListener('input', () => {
-            if (this.dom.loadButton && !this.isLoading) {
-                 this.dom.loadButton.disabled = this.dom.youtubeUrlInput.value.trim() === '';
-            }
-        });
-        this.dom.loadButton?.addEventListener('click', () => {
-            if (this.isLoading) return;
-            const videoId = parseYouTubeUrl(this.dom.youtubeUrlInput.value);
-            this.loadVideoById(videoId);
-        });
+    /**
+     * Stops an automated fade where it is, leaving the fader at its current position, or calls
+     * off one still waiting for its bar. Auto-DJ cannot carry on from a half-done fade, so it
+     * stops too.
+     * @param {string} faderId
+     * @param {boolean} [notify=true]
+     */
+    abortCrossfade(faderId, notify = true) {
+        const faderConfig = this.crossfaders[faderId];
+        if (faderConfig?.pendingTransition) {
+            clearTimeout(faderConfig.pendingTransition.timeoutId);
+            faderConfig.pendingTransition = null;
+            faderConfig.isFading = false;
+            this.updateCrossfadeControlsUI(faderId);
+            if (this.autoDj.active && this.autoDj.faderId === faderId) this.stopAutoDj('Auto-DJ stopped: the crossfade was called off.');
+            if (notify) showNotification(`Transition on ${faderId} called off.`, 'info');
+            return;
+        }
+        const fade = faderConfig?.fade;
+        if (!fade) return;
+        this.cancelFadeFrame(fade);
+        faderConfig.fade = null;
+        faderConfig.isFading = false;
+        this.endTransitionEffects(fade);
+        this.updateCrossfadeControlsUI(faderId);
+        const progress = fade.toValue !== fade.fromValue ? (parseFloat(faderConfig.el.value) - fade.fromValue) / (fade.toValue - fade.fromValue) : 1;
+        this.dispatchCrossfadeEvent(faderId, CROSSFADE_EVENTS.COMPLETE, Math.max(0, Math.min(1, progress)), fade, true);
+        if (this.autoDj.active && this.autoDj.faderId === faderId) this.stopAutoDj('Auto-DJ stopped: the crossfade was interrupted.');
+        if (notify) showNotification(`Crossfade on ${faderId} stopped.`, 'info');
+    }
 
-        this.dom.videoToggleButton?.addEventListener('click', () => {
-            const playerContainer = this.dom.playerContainer;
-            const eyeIcon = this.dom.videoToggleButton?.querySelector('.fa-eye');
-            const eyeSlashIcon = this.dom.videoToggleButton?.querySelector('.fa-eye-slash');
-            playerContainer?.classList.toggle('hidden-player');
-            const isHidden = playerContainer?.classList.contains('hidden-player');
-            if(eyeIcon) eyeIcon.style.display = isHidden ? 'inline-block' : 'none';
-            if(eyeSlashIcon) eyeSlashIcon.style.display = isHidden ? 'none' : 'inline-block';
-            if (this.dom.videoToggleButton) this.dom.videoToggleButton.setAttribute('aria-pressed', String(!isHidden));
+    /**
+     * Sends a running fade back to where it started, taking as long as it has run so far.
+     * The decks swap roles, and the original fade's completion callback is dropped.
+     */
+    reverseCrossfade(faderId) {
+        const faderConfig = this.crossfaders[faderId];
+        const fade = faderConfig?.fade;
+        if (!fade) return;
+        this.cancelFadeFrame(fade);
+        this.endTransitionEffects(fade);
+        if (this.autoDj.active && this.autoDj.faderId === faderId) this.stopAutoDj('Auto-DJ stopped: the crossfade was reversed.');
+        const elapsedMs = Math.min(performance.now() - fade.startedAt, fade.durationMs);
+        this.startFade(faderId, {
+            fromValue: parseFloat(faderConfig.el.value),
+            toValue: fade.fromValue,
+            durationMs: elapsedMs,
+            fadeOutDeck: fade.fadeInDeck,
+            fadeInDeck: fade.fadeOutDeck,
+            onComplete: null,
+            transition: 'fade',
+            reversed: !fade.reversed
         });
+        showNotification(`Crossfade on ${faderId} reversed.`, 'info');
+    }
 
-        this.dom.playPauseToggleButton?.addEventListener('click', () => {
-            if (!this.playerReady || !this.player) return; // Check if player object exists and is ready
-            this.stopStutterFx(false);
-            const currentState = this.player.getPlayerState();
-            if (currentState === YT.PlayerState.PLAYING) {
-                if (typeof this.player.pauseVideo === 'function') this.player.pauseVideo();
-            } else {
-                if (typeof this.player.playVideo === 'function') this.player.playVideo();
+    /**
+     * @param {string} faderId
+     * @param {string} type - One of CROSSFADE_EVENTS.
+     * @param {number} progress - 0 to 1, before easing.
+     * @param {object} [fade] - Defaults to the fader's running fade.
+     * @param {boolean} [aborted=false] - Only on COMPLETE: the fade was stopped before the end.
+     */
+    dispatchCrossfadeEvent(faderId, type, progress, fade = this.crossfaders[faderId].fade, aborted = false) {
+        document.dispatchEvent(new CustomEvent(type, {
+            detail: {
+                faderId,
+                progress,
+                value: parseFloat(this.crossfaders[faderId].el.value),
+                fadeOutDeckId: fade?.fadeOutDeck?.deckId || null,
+                fadeInDeckId: fade?.fadeInDeck?.deckId || null,
+                reversed: !!fade?.reversed,
+                aborted
             }
-        });
+        }));
+    }
 
+    setCrossfadeEasing(faderId, easing) {
+        const faderConfig = this.crossfaders[faderId];
+        if (!faderConfig || !CROSSFADE_EASINGS[easing]) return;
+        faderConfig.easing = easing;
+        this.updateCrossfadeControlsUI(faderId);
+        this.savePreferences();
+        showNotification(`${CROSSFADE_EASINGS[easing].label} easing selected for ${faderId} fades.`, 'info');
+    }
 
-        this.dom.seekSlider?.addEventListener('mousedown', (e) => {
-            if (!this.playerReady || !this.player || typeof this.player.getCurrentTime !== 'function') return;
-            this.isDraggingSlider = true;
-            this.playbackTimeBeforeSeek = this.player.getCurrentTime();
-        });
+    updateCrossfadeControlsUI(faderId) {
+        const faderConfig = this.crossfaders[faderId];
+        const triggerButton = document.querySelector(`.trigger-immediate-crossfade-button[data-fader-id="${faderId}"]`);
+        if (triggerButton) {
+            triggerButton.classList.toggle('active', faderConfig.isFading);
+            triggerButton.setAttribute('aria-pressed', String(faderConfig.isFading));
+            const label = triggerButton.querySelector('span');
+            if (label) label.textContent = faderConfig.isFading ? 'Stop' : 'X-Fade';
+        }
+        const reverseButton = document.querySelector(`.reverse-crossfade-button[data-fader-id="${faderId}"]`);
+        if (reverseButton) reverseButton.disabled = !faderConfig.fade;
+        const easingSelect = document.querySelector(`.crossfade-easing-select[data-fader-id="${faderId}"]`);
+        if (easingSelect) easingSelect.value = faderConfig.easing;
+        const transitionSelect = document.querySelector(`.crossfade-transition-select[data-fader-id="${faderId}"]`);
+        if (transitionSelect) transitionSelect.value = faderConfig.transition;
+    }
 
-        this.dom.seekSlider?.addEventListener('input', (e) => {
-            if (!this.playerReady || !this.player) return;
-            const seekTime = parseFloat(e.target.value);
-            if (this.dom.currentTimeDisplay) {
-                this.dom.currentTimeDisplay.textContent = formatTime(seekTime);
-            }
-        });
+    /** @param {number|null} progress - null hides the bar. */
+    updateCrossfadeProgressUI(faderId, progress) {
+        const bar = document.querySelector(`.crossfade-progress[data-fader-id="${faderId}"]`);
+        if (!bar) return;
+        bar.classList.toggle('visible', progress !== null);
+        bar.style.setProperty('--crossfade-progress', `${Math.round((progress || 0) * 100)}%`);
+    }
 
-        this.dom.seekSlider?.addEventListener('mouseup', (e) => {
-            if (!this.playerReady || !this.player || typeof this.player.seekTo !== 'function') {
-                this.isDraggingSlider = false;
-                return;
-            }
-            this.isDraggingSlider = false;
-            const seekTime = parseFloat(e.target.value);
 
-            this.player.seekTo(seekTime, true);
+    /**
+     * Whether an automatic transition out of a track should start now: at its mix-out point if
+     * it has one, otherwise `leadSeconds` before its end.
+     * @param {number} remainingTime - Seconds left in the track as heard.
+     * @param {number|null} untilMixOut - Seconds to the mix-out point as heard, or null.
+     * @param {number} leadSeconds
+     * @returns {boolean}
+     */
+    isTransitionDue(remainingTime, untilMixOut, leadSeconds) {
+        return untilMixOut !== null ? untilMixOut <= 0 : remainingTime <= leadSeconds;
+    }
 
-            if (this.loop.active && (seekTime < this.loop.in || seekTime >= this.loop.out)) {
-                this.resetLoop();
-            }
-            this.trackInfo.currentTime = seekTime;
-            if(this.dom.currentTimeDisplay) this.dom.currentTimeDisplay.textContent = formatTime(seekTime);
-        });
+    checkAutoCrossfade(endingDeckId, remainingTime, untilMixOut = null) {
+        if (this.autoDj.active) this.checkAutoDj(endingDeckId, remainingTime, untilMixOut);
+        Object.entries(this.crossfaders).forEach(([faderId, faderConfig]) => {
+            if (!faderConfig.auto || faderConfig.isFading || !faderConfig.el) return;
+            if (this.autoDj.active && this.autoDj.faderId === faderId) return;
+            if (!this.isFaderInUse(faderId)) return;
 
-        this.dom.volumeSlider?.addEventListener('input', () => this.updateVolumeFromSlider());
+            const endingSide = this.getDeckFaderSide(faderId, parseInt(endingDeckId.replace('deck', '')));
+            const faderValue = parseInt(faderConfig.el.value);
+            let isDominant = false;
+            let fadeToRight = false;
 
-        for (let i = 0; i < MAX_CUE_POINTS; i++) {
-            if (this.dom.cueSetButtons[i]) {
-                this.dom.cueSetButtons[i].addEventListener('click', () => this.setCuePoint(i));
-            }
-            if (this.dom.cueJumpButtons[i]) {
-                this.dom.cueJumpButtons[i].addEventListener('click', () => this.jumpToCuePoint(i));
+            if (endingSide === 'left' && faderValue < 50) {
+                isDominant = true; fadeToRight = true;
+            } else if (endingSide === 'right' && faderValue > 50) {
+                isDominant = true; fadeToRight = false;
             }
-            if (this.dom.cueTimeInputs[i]) {
-                const inputField = this.dom.cueTimeInputs[i];
-                const cueIndex = i;
 
-                const handleCueTimeChange = () => {
-                    if (inputField.getAttribute('aria-disabled') === 'true') return;
-                    const parsedTime = parseTimeInput(inputField.value);
-                    if (parsedTime !== null) {
-                        this.setCuePoint(cueIndex, parsedTime);
-                    } else if (inputField.value.trim() === '') {
-                        this.cuePoints[cueIndex] = null;
-                        inputField.placeholder = '-:--';
-                        this.updateCueMarkers();
-                        this.saveCurrentTrackSettings();
-                        showNotification(`Cue point ${cueIndex + 1} cleared on ${this.deckId}`, 'info');
-                    } else {
-                        showNotification(`Invalid time format for Cue ${cueIndex + 1}. Use mm:ss or seconds.`, 'warning');
-                        const prevCueTime = this.cuePoints[cueIndex];
-                        inputField.value = prevCueTime !== null ? formatTime(prevCueTime) : '';
-                        if(prevCueTime === null) inputField.placeholder = '-:--';
-                    }
-                };
+            if (isDominant && this.isTransitionDue(remainingTime, untilMixOut, AUTO_CROSSFADE_END_SECONDS)) {
+                const targetDeck = this.getSideLeadDeck(faderId, fadeToRight ? 'right' : 'left');
+                if (targetDeck && targetDeck.currentVideoId && targetDeck.playerReady) {
+                    showNotification(`Auto-crossfading from ${endingDeckId} on ${faderId}...`, 'info');
+                    targetDeck.cueToMixIn();
+                    this.triggerCrossfade(faderId, fadeToRight);
+                    this.setAutoCrossfade(faderId, false);
+                } else {
+                     console.log(`Auto-crossfade for ${faderId} skipped: Target deck ${targetDeck?.deckId || 'N/A'} not ready.`);
+                }
+            }
+        });
+    }
 
-                inputField.addEventListener('change', handleCueTimeChange);
-                inputField.addEventListener('keydown', (event) => {
-                    if (event.key === 'Enter') {
-                        event.preventDefault();
-                        handleCueTimeChange();
-                        inputField.blur();
-                    }
-                });
+    /**
+     * Starts mixing a deck's track queue unattended: the first track plays on the fader's left
+     * deck, the second waits on the right deck, and every crossfade preloads the following track
+     * onto the deck that just faded out. The queue can be topped up while Auto-DJ runs.
+     * @param {string} sourceDeckId - Deck whose queue supplies the tracks.
+     * @param {string} faderId
+     * @param {string|null} [playlistName] - Saved playlist to add to the end of the queue first.
+     * @returns {boolean} Whether Auto-DJ started.
+     */
+    startAutoDj(sourceDeckId, faderId, playlistName = null) {
+        const sourceDeck = deckObjects.find(deck => deck.deckId === sourceDeckId);
+        if (!sourceDeck) {
+            showNotification('Pick a deck queue for Auto-DJ.', 'warning');
+            return false;
+        }
+        const faderConfig = this.crossfaders[faderId];
+        if (!faderConfig || !faderConfig.el) {
+            showNotification('Pick a crossfader for Auto-DJ.', 'warning');
+            return false;
+        }
+        if (!this.isFaderInUse(faderId)) {
+            showNotification(`Switch to the 4-deck view with pairwise faders to run Auto-DJ on ${faderId}.`, 'warning');
+            return false;
+        }
+        // With the assignment matrix, the first deck assigned to each side takes part.
+        const deckLeft = deckObjects[this.getFaderSideDecks(faderId, 'left')[0] - 1];
+        const deckRight = deckObjects[this.getFaderSideDecks(faderId, 'right')[0] - 1];
+        if (!deckLeft || !deckRight) {
+            showNotification(`Assign a deck to each side of ${faderId} to run Auto-DJ.`, 'warning');
+            return false;
+        }
+        if (playlistName) {
+            const videoIds = playlistManager?.getPlaylistVideoIds(playlistName);
+            if (!videoIds) {
+                showNotification(`Playlist "${playlistName}" not found or corrupted.`, 'error');
+                return false;
             }
+            sourceDeck.addToQueue(videoIds);
+        }
+        if (sourceDeck.trackQueue.length < 2) {
+            showNotification(`Auto-DJ needs at least two tracks in the queue on ${sourceDeckId}. Pick a playlist, add URLs there or queue a playlist on it.`, 'warning');
+            return false;
         }
 
-        this.dom.loopInButton?.addEventListener('click', () => { if(this.dom.loopInButton.getAttribute('aria-disabled') !== 'true') this.setLoopIn()});
-        this.dom.loopInInput?.addEventListener('change', (e) => {if(this.dom.loopInInput.getAttribute('aria-disabled') !== 'true') this.setLoopIn(e.target.value)});
-        this.dom.loopOutButton?.addEventListener('click', () => {if(this.dom.loopOutButton.getAttribute('aria-disabled') !== 'true') this.setLoopOut()});
-        this.dom.loopOutInput?.addEventListener('change', (e) => {if(this.dom.loopOutInput.getAttribute('aria-disabled') !== 'true') this.setLoopOut(e.target.value)});
-        this.dom.loopToggleButton?.addEventListener('click', () => {if(this.dom.loopToggleButton.getAttribute('aria-disabled') !== 'true') this.toggleLoop()});
-        this.dom.beatLoopButtons.forEach(button => {
-            button.addEventListener('click', () => {if(button.getAttribute('aria-disabled') !== 'true') this.setBeatLoop(button.dataset.beats)});
-        });
+        this.setAutoCrossfade(faderId, false);
+        this.autoDj = { active: true, faderId, sourceDeckId, tracksStarted: 0, onAirDeckId: deckLeft.deckId, pendingDeckId: deckRight.deckId };
+        faderConfig.el.value = 0;
+        this.updateAllDeckVolumes();
+        deckLeft.loadAndCue(this.takeAutoDjTrack(), true);
+        deckRight.loadAndCue(this.takeAutoDjTrack(), false);
+        this.updateAutoDjUI();
+        showNotification(`Auto-DJ started: ${playlistName ? `"${playlistName}" via ` : ''}the queue on ${sourceDeckId} on ${faderId}.`, 'success');
+        return true;
+    }
 
-        this.dom.bpmInput?.addEventListener('change', (e) => {if(this.dom.bpmInput.getAttribute('aria-disabled') !== 'true') this.setBPM(e.target.value)});
-        this.dom.tapTempoButton?.addEventListener('click', () => {if(this.dom.tapTempoButton.getAttribute('aria-disabled') !== 'true') this.tapTempo()});
+    /** Next track for Auto-DJ from its source queue, or null when the queue has run out. */
+    takeAutoDjTrack() {
+        const videoId = deckObjects.find(deck => deck.deckId === this.autoDj.sourceDeckId)?.takeFromQueue() || null;
+        if (videoId) this.autoDj.tracksStarted++;
+        return videoId;
+    }
 
-        this.dom.playWithDeckButtons.forEach(button => {
-            button.addEventListener('click', () => this.playWithDeck(button.dataset.targetDeck));
-        });
+    /**
+     * Picks up Auto-DJ from saved state with its tracks already on the decks, e.g. when a set
+     * replay starts in the middle of an Auto-DJ mix.
+     * @param {{sourceDeckId: string, faderId: string, tracksStarted: number, onAirDeckId: string, pendingDeckId: string|null}} state
+     */
+    resumeAutoDj({ sourceDeckId, faderId, tracksStarted, onAirDeckId, pendingDeckId }) {
+        const isDeckId = (deckId) => deckObjects.some(deck => deck.deckId === deckId);
+        if (!this.crossfaders[faderId] || !isDeckId(sourceDeckId) || !isDeckId(onAirDeckId)) return;
+        this.setAutoCrossfade(faderId, false);
+        this.autoDj = {
+            active: true,
+            faderId,
+            sourceDeckId,
+            tracksStarted: Number.isInteger(tracksStarted) ? tracksStarted : 0,
+            onAirDeckId,
+            pendingDeckId: isDeckId(pendingDeckId) ? pendingDeckId : null,
+        };
+        this.updateAutoDjUI();
+    }
+
+    stopAutoDj(message = null) {
+        if (!this.autoDj.active) return;
+        this.autoDj.active = false;
+        this.autoDj.pendingDeckId = null;
+        this.updateAutoDjUI();
+        if (message) showNotification(message, 'info');
+    }
+
+    /**
+     * Fires the Auto-DJ crossfade once the deck that is on air reaches its mix-out point or,
+     * without one, gets within the crossfade length plus the wait for its next bar (and at least
+     * AUTO_CROSSFADE_END_SECONDS) of its end.
+     * @param {string} endingDeckId
+     * @param {number} remainingTime - Seconds left as heard.
+     * @param {number|null} untilMixOut - Seconds to the mix-out point as heard, or null.
+     */
+    checkAutoDj(endingDeckId, remainingTime, untilMixOut = null) {
+        const faderId = this.autoDj.faderId;
+        const faderConfig = this.crossfaders[faderId];
+        if (!faderConfig || faderConfig.isFading || !this.autoDj.pendingDeckId) return;
+
+        const endingDeckNum = parseInt(endingDeckId.replace('deck', ''), 10);
+        const endingSide = this.getDeckFaderSide(faderId, endingDeckNum);
+        const faderValue = parseInt(faderConfig.el.value, 10);
+        const fadeToRight = endingSide === 'left' && faderValue < 50;
+        const fadeToLeft = endingSide === 'right' && faderValue > 50;
+        if (!fadeToRight && !fadeToLeft) return;
+
+        const endingDeck = deckObjects[endingDeckNum - 1];
+        const fadeSeconds = this.getCrossfadeDurationSeconds(faderId, endingDeck) + (endingDeck.getTimeUntilNextBar() || 0);
+        const startWithin = Math.max(AUTO_CROSSFADE_END_SECONDS, fadeSeconds);
+        if (!this.isTransitionDue(remainingTime, untilMixOut, startWithin)) return;
+
+        const incomingDeck = this.getSideLeadDeck(faderId, fadeToRight ? 'right' : 'left');
+        if (!incomingDeck || incomingDeck.deckId !== this.autoDj.pendingDeckId || !incomingDeck.currentVideoId || incomingDeck.isLoading) {
+            console.log(`Auto-DJ on ${faderId}: next track on ${incomingDeck?.deckId || 'N/A'} is not ready yet.`);
+            return;
+        }
+        incomingDeck.cueToMixIn();
+        if (!this.triggerCrossfade(faderId, fadeToRight, (fadedOutDeck) => this.onAutoDjCrossfadeComplete(fadedOutDeck))) {
+            this.stopAutoDj(`Auto-DJ stopped: could not crossfade on ${faderId}.`);
+        }
+    }
+
+    onAutoDjCrossfadeComplete(fadedOutDeck) {
+        if (!this.autoDj.active) return;
+        fadedOutDeck.player.pause();
+        this.autoDj.onAirDeckId = this.autoDj.pendingDeckId;
+        const videoId = this.takeAutoDjTrack();
+        if (!videoId) {
+            this.stopAutoDj(`Auto-DJ finished: the queue on ${this.autoDj.sourceDeckId} is empty and the last track is playing.`);
+            return;
+        }
+        fadedOutDeck.loadAndCue(videoId, false);
+        this.autoDj.pendingDeckId = fadedOutDeck.deckId;
+        this.updateAutoDjUI();
+    }
 
-        this.dom.stutterStepButton?.addEventListener('click', () => this.toggleStutterFx('step'));
-        this.dom.stutterLoopButton?.addEventListener('click', () => this.toggleStutterFx('loop'));
-        this.dom.stutterRateButton?.addEventListener('click', () => this.cycleStutterRate());
+    /**
+     * A track Auto-DJ loaded failed, e.g. a removed or blocked video: loads the next one from the
+     * queue in its place, playing straight away if it was meant to be on air. Stops Auto-DJ when
+     * the queue has nothing left.
+     * @param {Deck} deck
+     */
+    onAutoDjLoadError(deck) {
+        if (!this.autoDj.active) return;
+        const isOnAir = deck.deckId === this.autoDj.onAirDeckId;
+        if (!isOnAir && deck.deckId !== this.autoDj.pendingDeckId) return;
+        this.autoDj.tracksStarted--; // The failed track never played
+        const videoId = this.takeAutoDjTrack();
+        if (!videoId) {
+            this.stopAutoDj(`Auto-DJ stopped: a track on ${deck.deckId} could not be loaded and the queue on ${this.autoDj.sourceDeckId} is empty.`);
+            return;
+        }
+        showNotification(`Auto-DJ skipped a track that could not be loaded on ${deck.deckId}.`, 'warning');
+        deck.loadAndCue(videoId, isOnAir);
+        this.updateAutoDjUI();
     }
-}
 
+    updateAutoDjUI() {
+        if (this.autoDjButton) {
+            this.autoDjButton.classList.toggle('active', this.autoDj.active);
+            this.autoDjButton.setAttribute('aria-pressed', String(this.autoDj.active));
+            const label = this.autoDjButton.querySelector('span');
+            if (label) label.textContent = this.autoDj.active ? 'Stop Auto-DJ' : 'Start Auto-DJ';
+        }
+        if (this.autoDjPlaylistSelect) this.autoDjPlaylistSelect.disabled = this.autoDj.active;
+        if (this.autoDjSourceSelect) this.autoDjSourceSelect.disabled = this.autoDj.active;
+        if (this.autoDjFaderSelect) this.autoDjFaderSelect.disabled = this.autoDj.active;
+        if (this.autoDjStatus) {
+            const { active, sourceDeckId, tracksStarted, pendingDeckId } = this.autoDj;
+            if (!active) {
+                this.autoDjStatus.textContent = 'Off';
+            } else {
+                const queued = deckObjects.find(deck => deck.deckId === sourceDeckId)?.trackQueue.length || 0;
+                const onAir = pendingDeckId ? tracksStarted - 1 : tracksStarted;
+                this.autoDjStatus.textContent = `Track ${onAir}, ${queued} left in the ${sourceDeckId} queue${pendingDeckId ? `, next on ${pendingDeckId}` : ''}`;
+            }
+        }
+    }
+}
 
-// --- Mixer Class ---
-class Mixer {
+// --- Set Recorder ---
+/**
+ * Records what the DJ does on the deck and mixer controls against a clock, and replays a saved
+ * session by calling the same Deck and Mixer methods at the same offsets. Each control handler
+ * reports its action through recordAction(); anything started by the app itself, such as
+ * Auto-DJ, auto-crossfade or the next queued track loading, follows from the recorded actions
+ * and the recorded start state instead. The replay borrows the deck queues and hands the
+ * user's own back when it stops.
+ */
+class SetRecorder {
     constructor() {
-        this.masterVolumeSlider = document.getElementById('master-volume');
-        this.masterVuMeterBar = document.getElementById('vu-meter-master');
-        this.crossfaders = {
-            'crossfader12': { el: document.getElementById('crossfader12'), deckLeft: 1, deckRight: 2, auto: false, beats: 4, isFading: false },
-            'crossfader23': { el: document.getElementById('crossfader23'), deckLeft: 2, deckRight: 3, auto: false, beats: 4, isFading: false },
-            'crossfader34': { el: document.getElementById('crossfader34'), deckLeft: 3, deckRight: 4, auto: false, beats: 4, isFading: false },
-            'crossfader41': { el: document.getElementById('crossfader41'), deckLeft: 4, deckRight: 1, auto: false, beats: 4, isFading: false },
-        };
-        this.isFourDeckView = false;
+        this.recording = null; // { startedAt, recordedAt, start, events } while recording
+        this.replay = null; // { session, index, startedAt, timeoutId, userQueues } while replaying; startedAt is null while preparing
+        this.statusIntervalId = null;
+
+        this.recordButton = document.getElementById('set-record-button');
+        this.replayButton = document.getElementById('set-replay-button');
+        this.replayFileInput = document.getElementById('set-replay-file');
+        this.statusDisplay = document.getElementById('set-recorder-status');
 
         this.initEventListeners();
-        this.updateMasterVUMeter();
+        this.updateUI();
     }
 
     initEventListeners() {
-        this.masterVolumeSlider?.addEventListener('input', () => {
-            this.updateAllDeckVolumes();
-            this.updateMasterVUMeter();
+        this.recordButton?.addEventListener('click', () => {
+            if (this.recording) {
+                this.stopRecording();
+            } else {
+                this.startRecording();
+            }
         });
-
-        Object.keys(this.crossfaders).forEach(faderId => {
-            const faderConfig = this.crossfaders[faderId];
-            if (!faderConfig.el) {
-                console.warn(`Crossfader element ${faderId} not found.`);
-                return;
+        this.replayButton?.addEventListener('click', () => {
+            if (this.replay) {
+                this.stopReplay('Set replay stopped.');
+            } else {
+                this.replayFileInput?.click();
             }
-            faderConfig.el.addEventListener('input', () => this.updateAllDeckVolumes());
-
-            document.querySelectorAll(`.crossfade-beats-button[data-fader-id="${faderId}"]`).forEach(btn => {
-                btn.addEventListener('click', () => {
-                    faderConfig.beats = parseInt(btn.dataset.beats);
-                    document.querySelectorAll(`.crossfade-beats-button[data-fader-id="${faderId}"]`).forEach(b => b.classList.remove('active'));
-                    btn.classList.add('active');
-                     showNotification(`${faderConfig.beats}-Beat crossfade selected for ${faderId}.`, 'info');
-                });
-            });
-            document.querySelector(`.auto-crossfade-toggle[data-fader-id="${faderId}"]`)?.addEventListener('click', (e) => {
-                faderConfig.auto = !faderConfig.auto;
-                e.currentTarget.classList.toggle('active', faderConfig.auto);
-                e.currentTarget.setAttribute('aria-pressed', String(faderConfig.auto));
-                showNotification(`Auto-crossfade ${faderConfig.auto ? 'ON' : 'OFF'} for ${faderId}.`, 'info');
-            });
-            document.querySelector(`.trigger-immediate-crossfade-button[data-fader-id="${faderId}"]`)?.addEventListener('click', () => {
-                this.triggerCrossfade(faderId);
-            });
+        });
+        this.replayFileInput?.addEventListener('change', () => {
+            this.loadSessionFile(this.replayFileInput.files[0]);
+            this.replayFileInput.value = ''; // Allow picking the same file again
         });
     }
 
-    updateMasterVUMeter() {
-        if (!this.masterVuMeterBar || !this.masterVolumeSlider) return;
-        const masterLevel = parseInt(this.masterVolumeSlider.value, 10);
-        this.masterVuMeterBar.style.setProperty('--vu-level', `${masterLevel}%`);
+    /** Deck, mixer and view state a replay restores before its first event. */
+    captureStartState() {
+        return {
+            fourDeckView: !!uiManager?.isFourDeckView,
+            pairwiseFaders: mixer.pairwiseFaders,
+            crossfaderAssignments: [...mixer.crossfaderAssignments],
+            masterVolume: parseInt(mixer.masterVolumeSlider?.value ?? 100, 10),
+            crossfaders: Object.fromEntries(Object.keys(mixer.crossfaders).map(faderId => [faderId, mixer.getCrossfaderValue(faderId)])),
+            autoCrossfade: Object.fromEntries(Object.entries(mixer.crossfaders).map(([faderId, faderConfig]) => [faderId, faderConfig.auto])),
+            autoDj: mixer.autoDj.active ? { ...mixer.autoDj } : null,
+            decks: deckObjects.map(deck => ({
+                videoId: deck.currentVideoId && !deck.isLocalSource() ? deck.currentVideoId : null,
+                time: deck.playerReady && deck.player ? deck.player.getCurrentTime() : 0,
+                playing: deck.playbackState === PLAYER_STATE.PLAYING,
+                volume: deck.intendedVolume,
+                playbackRate: deck.playbackRate,
+                // Sync and beatgrid nudges build on these, and the set may have saved new ones.
+                bpm: deck.bpm,
+                beatgridOffset: deck.beatgrid.offset,
+                muted: deck.isMuted,
+                soloed: deck.isSoloed,
+                gainTrimDb: deck.gainTrimDb,
+                trackQueue: [...deck.trackQueue],
+                queueAutoPlay: deck.queueAutoPlay,
+            })),
+        };
     }
 
-    getCrossfaderValue(faderId) {
-        const fader = this.crossfaders[faderId];
-        return fader && fader.el ? parseInt(fader.el.value, 10) : 50;
+    startRecording() {
+        if (this.recording || this.replay) return;
+        this.recording = { startedAt: performance.now(), recordedAt: new Date().toISOString(), start: this.captureStartState(), events: [] };
+        this.updateUI();
+        showNotification('Recording the set. Press Stop to save it as a session file.', 'info');
     }
 
-    calculateEffectiveVolume(deckNumber) {
-        const deck = deckObjects[deckNumber - 1];
-        if (!deck || !this.masterVolumeSlider) return 0;
+    /**
+     * Adds an action to the running recording; ignored when not recording.
+     * @param {string} action - A method named in SET_RECORDER_DECK_ACTIONS or SET_RECORDER_MIXER_ACTIONS.
+     * @param {Array} args
+     * @param {number|null} [deckNumber] - The deck the action ran on; null for mixer actions.
+     */
+    record(action, args, deckNumber = null) {
+        if (!this.recording) return;
+        const event = { time: Math.round(performance.now() - this.recording.startedAt) / 1000, action, args };
+        if (deckNumber !== null) event.deck = deckNumber;
+        this.recording.events.push(event);
+    }
 
-        const masterVolFactor = parseInt(this.masterVolumeSlider.value, 10) / 100;
-        let combinedCrossfaderFactor = 1.0;
+    stopRecording() {
+        if (!this.recording) return;
+        const { startedAt, recordedAt, start, events } = this.recording;
+        this.recording = null;
+        const session = {
+            format: SET_SESSION_FORMAT,
+            version: SET_SESSION_VERSION,
+            recordedAt,
+            duration: Math.round(performance.now() - startedAt) / 1000,
+            start,
+            events,
+        };
+        this.updateUI();
+        this.downloadSession(session);
+        showNotification(`Set recorded: ${events.length} action${events.length === 1 ? '' : 's'} over ${formatTime(session.duration)}.`, 'success');
+    }
 
-        if (deckNumber === 1) {
-            combinedCrossfaderFactor *= (100 - this.getCrossfaderValue('crossfader12')) / 100;
-            if (this.isFourDeckView) {
-                combinedCrossfaderFactor *= this.getCrossfaderValue('crossfader41') / 100;
-            }
-        }
-        else if (deckNumber === 2) {
-            combinedCrossfaderFactor *= this.getCrossfaderValue('crossfader12') / 100;
-            if (this.isFourDeckView) {
-                combinedCrossfaderFactor *= (100 - this.getCrossfaderValue('crossfader23')) / 100;
-            }
+    downloadSession(session) {
+        downloadTextFile(`dj-set-${session.recordedAt.slice(0, 19).replace(/[:T]/g, '-')}.json`, JSON.stringify(session), 'application/json');
+    }
+
+    loadSessionFile(file) {
+        if (!file) return;
+        const reader = new FileReader();
+        reader.onload = () => {
+            const session = this.parseSession(reader.result);
+            if (session) this.startReplay(session);
+        };
+        reader.onerror = () => showNotification(`Could not read "${file.name}".`, 'error');
+        reader.readAsText(file);
+    }
+
+    /**
+     * Checks a session file and keeps only events a replay can run.
+     * @param {string} text
+     * @returns {object|null} The session, or null after telling the user what is wrong.
+     */
+    parseSession(text) {
+        let session;
+        try {
+            session = JSON.parse(text);
+        } catch (e) {
+            showNotification('That file is not valid JSON.', 'error');
+            return null;
         }
-        else if (deckNumber === 3 && this.isFourDeckView) {
-            combinedCrossfaderFactor *= this.getCrossfaderValue('crossfader23') / 100;
-            combinedCrossfaderFactor *= (100 - this.getCrossfaderValue('crossfader34')) / 100;
+        if (session?.format !== SET_SESSION_FORMAT || !Array.isArray(session.events)) {
+            showNotification('That file is not a recorded set.', 'error');
+            return null;
         }
-        else if (deckNumber === 4 && this.isFourDeckView) {
-            combinedCrossfaderFactor *= this.getCrossfaderValue('crossfader34') / 100;
-            combinedCrossfaderFactor *= (100 - this.getCrossfaderValue('crossfader41')) / 100;
-        } else if (deckNumber > 2 && !this.isFourDeckView) {
-                return 0;
+        if (session.version > SET_SESSION_VERSION) {
+            showNotification('That set was recorded by a newer version of the app.', 'error');
+            return null;
         }
-
-        const finalVolume = deck.intendedVolume * masterVolFactor * combinedCrossfaderFactor;
-        return Math.round(Math.max(0, Math.min(100, finalVolume)));
+        const isValidEvent = (event) => {
+            if (!(event?.time >= 0) || !Array.isArray(event.args)) return false;
+            if (event.deck === undefined) return SET_RECORDER_MIXER_ACTIONS.includes(event.action);
+            return Number.isInteger(event.deck) && event.deck >= 1 && event.deck <= MAX_DECKS && SET_RECORDER_DECK_ACTIONS.includes(event.action);
+        };
+        const events = session.events.filter(isValidEvent).sort((a, b) => a.time - b.time);
+        const skipped = session.events.length - events.length;
+        if (skipped > 0) showNotification(`${skipped} unknown action${skipped === 1 ? '' : 's'} in the set will be skipped.`, 'warning');
+        const lastTime = events.length ? events[events.length - 1].time : 0;
+        return {
+            ...session,
+            start: session.start || {},
+            duration: Math.max(lastTime, typeof session.duration === 'number' ? session.duration : 0),
+            events,
+        };
     }
 
-    updateAllDeckVolumes() {
-        deckObjects.forEach((deck, index) => {
-            if (deck) {
-                const deckNumber = index + 1;
-                const effectiveVol = this.calculateEffectiveVolume(deckNumber);
-                deck.setEffectiveVolume(effectiveVol);
+    startReplay(session) {
+        if (this.recording) {
+            showNotification('Stop recording before replaying a set.', 'warning');
+            return;
+        }
+        if (this.replay) this.stopReplay(null);
+        if (mixer.autoDj.active) mixer.stopAutoDj('Auto-DJ stopped for the set replay.');
+        const replay = { session, index: 0, startedAt: null, timeoutId: null, userQueues: deckObjects.map(deck => [...deck.trackQueue]) };
+        this.replay = replay;
+        this.updateUI();
+        showNotification('Preparing the set replay...', 'info');
+
+        this.restoreStartState(session.start, (ready) => {
+            if (this.replay !== replay) return; // Stopped while the tracks were loading
+            if (!ready) {
+                this.stopReplay('Set replay stopped: the starting tracks did not load in time.', 'error');
+                return;
             }
+            replay.startedAt = performance.now();
+            this.updateUI();
+            this.runReplayEvents();
         });
-        this.updateMasterVUMeter();
     }
 
-    setDeckViewMode(isFourDeck) {
-        const oldViewIsFourDeck = this.isFourDeckView;
-        this.isFourDeckView = isFourDeck;
-
-        if (this.isFourDeckView && !oldViewIsFourDeck) {
-            if (deckObjects[2]) {
-                deckObjects[2].intendedVolume = 0;
-                if (deckObjects[2].dom.volumeSlider) deckObjects[2].dom.volumeSlider.value = 0;
-            }
-            if (deckObjects[3]) {
-                deckObjects[3].intendedVolume = 0;
-                if (deckObjects[3].dom.volumeSlider) deckObjects[3].dom.volumeSlider.value = 0;
+    /**
+     * Puts the view, mixer and decks back the way they were when the set was recorded, loading the
+     * starting tracks that aren't on their decks, then calls `onDone(ready)`.
+     */
+    restoreStartState(start, onDone) {
+        Object.keys(mixer.crossfaders).forEach(faderId => mixer.abortCrossfade(faderId, false));
+        if (typeof start.fourDeckView === 'boolean' && uiManager && start.fourDeckView !== uiManager.isFourDeckView) uiManager.toggleDeckView();
+        if (typeof start.pairwiseFaders === 'boolean' && start.pairwiseFaders !== mixer.pairwiseFaders) mixer.setPairwiseFaders(start.pairwiseFaders);
+        (start.crossfaderAssignments || []).forEach((assignment, i) => {
+            if (Object.values(CROSSFADER_ASSIGNMENTS).includes(assignment) && mixer.crossfaderAssignments[i] !== assignment) {
+                mixer.setCrossfaderAssignment(i + 1, assignment);
             }
+        });
 
-            if (this.crossfaders['crossfader23'] && this.crossfaders['crossfader23'].el) {
-                this.crossfaders['crossfader23'].el.value = 0;
-            }
-            if (this.crossfaders['crossfader34'] && this.crossfaders['crossfader34'].el) {
-                this.crossfaders['crossfader34'].el.value = 50;
-            }
-            if (this.crossfaders['crossfader41'] && this.crossfaders['crossfader41'].el) {
-                this.crossfaders['crossfader41'].el.value = 100;
+        const deckStates = (start.decks || []).slice(0, MAX_DECKS);
+        deckObjects.forEach((deck, i) => {
+            deck.setPlaying(false);
+            const deckState = deckStates[i];
+            if (Array.isArray(deckState?.trackQueue)) {
+                deck.clearTrackQueue();
+                deck.addToQueue(deckState.trackQueue.filter(videoId => typeof videoId === 'string'));
             }
-        }
+            if (typeof deckState?.queueAutoPlay === 'boolean') deck.setQueueAutoPlay(deckState.queueAutoPlay);
+            if (typeof deckState?.muted === 'boolean') deck.isMuted = deckState.muted;
+            if (typeof deckState?.soloed === 'boolean') deck.isSoloed = deckState.soloed;
+            const videoId = deckState?.videoId;
+            if (videoId && deck.currentVideoId !== videoId) deck.loadAndCue(videoId, false);
+        });
 
-        if (!isFourDeck) {
-            ['crossfader23', 'crossfader34', 'crossfader41'].forEach(faderId => {
-                if (this.crossfaders[faderId] && this.crossfaders[faderId].el) {
-                    this.crossfaders[faderId].el.value = 50;
-                }
-                if (this.crossfaders[faderId]) {
-                    this.crossfaders[faderId].auto = false;
+        const isCued = (deck, i) => {
+            const videoId = deckStates[i]?.videoId;
+            return !videoId || (deck.currentVideoId === videoId && deck.playerReady && !deck.isLoading && !deck.pendingLoadCue);
+        };
+        const waitStartedAt = performance.now();
+        const waitForDecks = () => {
+            if (!this.replay) return;
+            if (!deckObjects.every(isCued)) {
+                if (performance.now() - waitStartedAt > SET_REPLAY_LOAD_TIMEOUT_MS) {
+                    onDone(false);
+                } else {
+                    setTimeout(waitForDecks, 250);
                 }
-                const autoToggleButton = document.querySelector(`.auto-crossfade-toggle[data-fader-id="${faderId}"]`);
-                if (autoToggleButton) {
-                    autoToggleButton.classList.remove('active');
-                    autoToggleButton.setAttribute('aria-pressed', 'false');
+                return;
+            }
+            Object.entries(start.crossfaders || {}).forEach(([faderId, value]) => mixer.setCrossfaderPosition(faderId, value));
+            Object.entries(start.autoCrossfade || {}).forEach(([faderId, enabled]) => {
+                if (mixer.crossfaders[faderId] && typeof enabled === 'boolean') mixer.setAutoCrossfade(faderId, enabled);
+            });
+            if (typeof start.masterVolume === 'number') mixer.setMasterVolume(start.masterVolume);
+            deckObjects.forEach((deck, i) => {
+                const deckState = deckStates[i];
+                if (!deckState) return;
+                if (typeof deckState.volume === 'number') deck.setChannelVolume(deckState.volume);
+                if (!deckState.videoId) return;
+                if (typeof deckState.gainTrimDb === 'number') {
+                    // Like the beatgrid below, for this session only; loading the track reset it.
+                    deck.gainTrimDb = Math.max(-GAIN_TRIM_RANGE_DB, Math.min(GAIN_TRIM_RANGE_DB, deckState.gainTrimDb));
+                    deck.updateGainTrimUI();
                 }
+                const bpm = deckState.bpm !== undefined ? deckState.bpm : deck.bpm;
+                const beatgridOffset = typeof deckState.beatgridOffset === 'number' ? deckState.beatgridOffset : deck.beatgrid.offset;
+                if (bpm !== deck.bpm || beatgridOffset !== deck.beatgrid.offset) deck.setSessionBeatgrid(bpm, beatgridOffset);
+                if (typeof deckState.playbackRate === 'number') deck.applyPlaybackRate(deckState.playbackRate, false);
+                deck.seekTo(deckState.time || 0);
+                if (deckState.playing) deck.setPlaying(true);
             });
-        }
-        this.updateAllDeckVolumes();
+            mixer.updateAllDeckVolumes(); // Mute, solo and gain trim
+            if (start.autoDj && typeof start.autoDj === 'object') mixer.resumeAutoDj(start.autoDj);
+            onDone(true);
+        };
+        waitForDecks();
     }
 
-    triggerCrossfade(faderId, toRight = null) {
-        const faderConfig = this.crossfaders[faderId];
-        if (!faderConfig || faderConfig.isFading || !faderConfig.el) return;
-
-        const deckLeft = deckObjects[faderConfig.deckLeft - 1];
-        const deckRight = deckObjects[faderConfig.deckRight - 1];
+    /** Runs every event that is due, then sleeps until the next one or the end of the set. */
+    runReplayEvents() {
+        const replay = this.replay;
+        if (!replay || replay.startedAt === null) return;
+        const { events, duration } = replay.session;
+        const elapsed = (performance.now() - replay.startedAt) / 1000;
+        while (replay.index < events.length && events[replay.index].time <= elapsed) {
+            this.applyEvent(events[replay.index++]);
+            if (this.replay !== replay) return;
+        }
+        const nextTime = replay.index < events.length ? events[replay.index].time : duration;
+        if (replay.index >= events.length && elapsed >= duration) {
+            this.stopReplay('Set replay finished.', 'success');
+            return;
+        }
+        replay.timeoutId = setTimeout(() => this.runReplayEvents(), (nextTime - elapsed) * 1000);
+    }
 
-        if (!deckLeft || !deckRight || !deckLeft.playerReady || !deckRight.playerReady ||
-            !deckLeft.player || typeof deckLeft.player.playVideo !== 'function' ||
-            !deckRight.player || typeof deckRight.player.playVideo !== 'function') {
-            showNotification("Both decks on crossfader must be loaded and players ready.", "warning");
+    applyEvent(event) {
+        const target = event.deck === undefined ? mixer : deckObjects[event.deck - 1];
+        if (!target) return;
+        if (event.action === 'loadLocalFile') {
+            showNotification(`The set loads the local file "${event.args[0]}" on Deck ${event.deck} here. Load it by hand to hear it.`, 'warning');
             return;
         }
+        try {
+            target[event.action](...event.args);
+        } catch (e) {
+            console.error(`Set replay: ${event.action} at ${event.time}s failed.`, e);
+        }
+    }
 
-        let fadeOutDeck, fadeInDeck, targetFaderValue;
-        const currentFaderValue = parseInt(faderConfig.el.value, 10);
+    /**
+     * Stops driving the decks and gives the user their queues back. Whatever is playing keeps
+     * playing, but Auto-DJ stops, as it was running from the set's queue.
+     * @param {string|null} message - Notification to show, if any.
+     * @param {string} [type]
+     */
+    stopReplay(message, type = 'info') {
+        if (!this.replay) return;
+        const { timeoutId, userQueues } = this.replay;
+        clearTimeout(timeoutId);
+        this.replay = null;
+        mixer.stopAutoDj();
+        deckObjects.forEach((deck, i) => {
+            deck.clearTrackQueue();
+            deck.addToQueue(userQueues[i]);
+        });
+        this.updateUI();
+        if (message) showNotification(message, type);
+    }
 
-        if (toRight === null) {
-            if (currentFaderValue > 50) {
-                 toRight = false;
-            } else if (currentFaderValue < 50) {
-                 toRight = true;
-            } else {
-                toRight = deckLeft.playbackState === YT.PlayerState.PLAYING ? true : (deckRight.playbackState === YT.PlayerState.PLAYING ? false : true);
-            }
+    updateUI() {
+        const isBusy = !!(this.recording || this.replay);
+        if (isBusy && this.statusIntervalId === null) {
+            this.statusIntervalId = setInterval(() => this.updateStatus(), 1000);
+        } else if (!isBusy && this.statusIntervalId !== null) {
+            clearInterval(this.statusIntervalId);
+            this.statusIntervalId = null;
         }
 
-        if (toRight) {
-            fadeOutDeck = deckLeft; fadeInDeck = deckRight; targetFaderValue = 100;
-        } else {
-            fadeOutDeck = deckRight; fadeInDeck = deckLeft; targetFaderValue = 0;
+        if (this.recordButton) {
+            this.recordButton.classList.toggle('active', !!this.recording);
+            this.recordButton.setAttribute('aria-pressed', String(!!this.recording));
+            this.recordButton.disabled = !!this.replay;
+            const label = this.recordButton.querySelector('span');
+            if (label) label.textContent = this.recording ? 'Stop & Save' : 'Record Set';
         }
-
-
-        if (!fadeOutDeck.bpm) {
-            showNotification(`Set BPM on ${fadeOutDeck.deckId} for beat-matched crossfade. Using 2s fade.`, "warning");
+        if (this.replayButton) {
+            this.replayButton.classList.toggle('active', !!this.replay);
+            this.replayButton.setAttribute('aria-pressed', String(!!this.replay));
+            this.replayButton.disabled = !!this.recording;
+            const label = this.replayButton.querySelector('span');
+            if (label) label.textContent = this.replay ? 'Stop Replay' : 'Replay Set';
         }
-        if (!fadeInDeck.currentVideoId) {
-            showNotification(`Load a track on ${fadeInDeck.deckId}.`, "warning");
-            return;
+        this.updateStatus();
+    }
+
+    updateStatus() {
+        if (!this.statusDisplay) return;
+        if (this.recording) {
+            const count = this.recording.events.length;
+            this.statusDisplay.textContent = `Recording ${formatTime((performance.now() - this.recording.startedAt) / 1000)}, ${count} action${count === 1 ? '' : 's'}`;
+        } else if (this.replay?.startedAt === null) {
+            this.statusDisplay.textContent = 'Loading the starting tracks...';
+        } else if (this.replay) {
+            this.statusDisplay.textContent = `Replaying ${formatTime((performance.now() - this.replay.startedAt) / 1000)} / ${formatTime(this.replay.session.duration)}`;
+        } else {
+            this.statusDisplay.textContent = 'Off';
         }
+    }
+}
 
-        const fadeDurationSeconds = fadeOutDeck.bpm ? (faderConfig.beats / fadeOutDeck.bpm) * 60 : 2;
-        const steps = 50;
-        const stepDuration = (fadeDurationSeconds * 1000) / steps;
-        const valueChangePerStep = (targetFaderValue - currentFaderValue) / steps;
 
-        faderConfig.isFading = true;
+// --- Tracklist Logger ---
+/**
+ * Notes when each track takes over the mix, meaning it becomes the playing deck with the highest
+ * effective volume, and exports the result as a timestamped text list, a .cue sheet or JSON.
+ * Times count from the first track.
+ */
+class TracklistLogger {
+    constructor() {
+        this.entries = []; // { time, startedAt, deck, videoId, title }
+        this.startedAt = null; // Date.now() when the first track took over
+        this.dominant = null; // { deckNumber, trackId } of the loudest playing deck
+        this.candidate = null; // { deckNumber, trackId, since, timeoutId } waiting out TRACKLIST_DOMINANCE_HOLD_MS
 
-        if (fadeInDeck.playbackState !== YT.PlayerState.PLAYING) {
-            fadeInDeck.player.playVideo();
-        }
+        this.listEl = document.getElementById('tracklist-list');
+        this.exportButtons = document.querySelectorAll('.tracklist-export-button');
+        this.clearButton = document.getElementById('tracklist-clear-button');
 
-        let currentStep = 0;
-        const fadeInterval = setInterval(() => {
-            currentStep++;
-            const newFaderValue = currentFaderValue + (valueChangePerStep * currentStep);
-            faderConfig.el.value = newFaderValue;
-            this.updateAllDeckVolumes();
+        this.initEventListeners();
+        this.renderList();
+    }
 
-            if (currentStep >= steps) {
-                clearInterval(fadeInterval);
-                faderConfig.el.value = targetFaderValue;
-                this.updateAllDeckVolumes();
-                faderConfig.isFading = false;
-                 showNotification(`Crossfade on ${faderId} complete.`, 'success');
+    initEventListeners() {
+        this.exportButtons.forEach(button => {
+            button.addEventListener('click', () => this.exportTracklist(button.dataset.format));
+        });
+        this.clearButton?.addEventListener('click', () => {
+            if (this.entries.length && confirm('Clear the tracklist?')) this.clear();
+        });
+    }
+
+    /** The playing deck with the highest effective volume; the current leader wins a tie. */
+    findDominantDeck() {
+        let best = null;
+        deckObjects.forEach((deck, index) => {
+            if (!deck || !deck.currentVideoId || deck.playbackState !== PLAYER_STATE.PLAYING || !(deck.effectiveVolume > 0)) return;
+            const deckNumber = index + 1;
+            const isLeader = this.dominant?.deckNumber === deckNumber;
+            if (!best || deck.effectiveVolume > best.deck.effectiveVolume || (deck.effectiveVolume === best.deck.effectiveVolume && isLeader)) {
+                best = { deck, deckNumber };
             }
-        }, stepDuration);
-         showNotification(`Crossfading on ${faderId} over ${faderConfig.beats} beats...`, 'info');
+        });
+        return best;
     }
 
+    /** Re-checks which track leads the mix. Called whenever deck volumes or play states change. */
+    update() {
+        const best = this.findDominantDeck();
+        const dominant = best ? { deckNumber: best.deckNumber, trackId: best.deck.currentVideoId } : null;
+        if (dominant?.deckNumber === this.dominant?.deckNumber && dominant?.trackId === this.dominant?.trackId) return;
+        this.dominant = dominant;
 
-    checkAutoCrossfade(endingDeckId, remainingTime) {
-        Object.entries(this.crossfaders).forEach(([faderId, faderConfig]) => {
-            if (!faderConfig.auto || faderConfig.isFading || !faderConfig.el) return;
-            if (!this.isFourDeckView && (faderId === 'crossfader23' || faderId === 'crossfader34' || faderId === 'crossfader41')) return;
+        if (this.candidate) {
+            clearTimeout(this.candidate.timeoutId);
+            this.candidate = null;
+        }
+        const lastEntry = this.entries[this.entries.length - 1];
+        if (!dominant || (lastEntry && lastEntry.trackId === dominant.trackId)) return;
+        const candidate = { ...dominant, since: Date.now(), timeoutId: null };
+        candidate.timeoutId = setTimeout(() => this.confirmCandidate(candidate), TRACKLIST_DOMINANCE_HOLD_MS);
+        this.candidate = candidate;
+    }
 
-            const deckLeftNum = faderConfig.deckLeft;
-            const deckRightNum = faderConfig.deckRight;
-            const endingDeckNum = parseInt(endingDeckId.replace('deck', ''));
-            const faderValue = parseInt(faderConfig.el.value);
-            let isDominant = false;
-            let fadeToRight = false;
+    confirmCandidate(candidate) {
+        if (this.candidate !== candidate) return;
+        this.candidate = null;
+        const deck = deckObjects[candidate.deckNumber - 1];
+        if (!deck || deck.currentVideoId !== candidate.trackId) return;
+        if (this.startedAt === null) this.startedAt = candidate.since;
+        this.entries.push({
+            time: (candidate.since - this.startedAt) / 1000,
+            startedAt: new Date(candidate.since).toISOString(),
+            deck: candidate.deckNumber,
+            trackId: candidate.trackId,
+            videoId: deck.isLocalSource() ? null : candidate.trackId,
+            title: (deck.player && deck.player.getTitle()) || deck.trackInfo.title || candidate.trackId,
+        });
+        this.renderList();
+    }
 
-            if (endingDeckNum === deckLeftNum && faderValue < 50) {
-                isDominant = true; fadeToRight = true;
-            } else if (endingDeckNum === deckRightNum && faderValue > 50) {
-                isDominant = true; fadeToRight = false;
-            }
+    clear() {
+        if (this.candidate) clearTimeout(this.candidate.timeoutId);
+        this.entries = [];
+        this.startedAt = null;
+        this.dominant = null;
+        this.candidate = null;
+        this.renderList();
+        this.update(); // Whatever is playing now starts the next list
+    }
 
-            if (isDominant && remainingTime <= AUTO_CROSSFADE_END_SECONDS) {
-                const targetDeck = fadeToRight ? deckObjects[deckRightNum - 1] : deckObjects[deckLeftNum - 1];
-                if (targetDeck && targetDeck.currentVideoId && targetDeck.playerReady) {
-                    showNotification(`Auto-crossfading from ${endingDeckId} on ${faderId}...`, 'info');
-                    this.triggerCrossfade(faderId, fadeToRight);
-                    faderConfig.auto = false;
-                    const autoToggleButton = document.querySelector(`.auto-crossfade-toggle[data-fader-id="${faderId}"]`);
-                    if(autoToggleButton) {
-                        autoToggleButton.classList.remove('active');
-                        autoToggleButton.setAttribute('aria-pressed', 'false');
-                    }
-                } else {
-                     console.log(`Auto-crossfade for ${faderId} skipped: Target deck ${targetDeck?.deckId || 'N/A'} not ready.`);
-                }
-            }
+    renderList() {
+        if (!this.listEl) return;
+        this.listEl.innerHTML = '';
+        if (!this.entries.length) {
+            this.listEl.innerHTML = '<li class="tracklist-empty">Tracks are listed here as they take over the mix.</li>';
+        }
+        this.entries.forEach(entry => {
+            const li = document.createElement('li');
+            const time = document.createElement('span');
+            time.className = 'tracklist-time';
+            time.textContent = formatLongTime(entry.time);
+            const title = document.createElement('span');
+            title.className = 'tracklist-title';
+            title.textContent = entry.title;
+            title.title = `${entry.title} (Deck ${entry.deck})`;
+            li.append(time, ' ', title);
+            this.listEl.appendChild(li);
         });
+        const hasEntries = this.entries.length > 0;
+        this.exportButtons.forEach(button => { button.disabled = !hasEntries; });
+        if (this.clearButton) this.clearButton.disabled = !hasEntries;
+    }
+
+    buildText() {
+        return this.entries.map(entry => `${formatLongTime(entry.time)} ${entry.title}`).join('\n') + '\n';
+    }
+
+    /** A cue sheet for a recording of the set that starts with the first track. */
+    buildCueSheet() {
+        const quote = (text) => `"${String(text).replace(/"/g, "'")}"`;
+        const toIndex = (seconds) => {
+            const totalFrames = Math.round(seconds * CUE_SHEET_FRAMES_PER_SECOND);
+            const frames = totalFrames % CUE_SHEET_FRAMES_PER_SECOND;
+            const totalSeconds = Math.floor(totalFrames / CUE_SHEET_FRAMES_PER_SECOND);
+            return [Math.floor(totalSeconds / 60), totalSeconds % 60, frames].map(n => String(n).padStart(2, '0')).join(':');
+        };
+        const setDate = this.entries[0].startedAt.slice(0, 10);
+        const lines = [`TITLE ${quote(`DJ Set ${setDate}`)}`, `FILE ${quote(`dj-set-${setDate}.wav`)} WAVE`];
+        this.entries.forEach((entry, index) => {
+            lines.push(`  TRACK ${String(index + 1).padStart(2, '0')} AUDIO`);
+            lines.push(`    TITLE ${quote(entry.title)}`);
+            lines.push(`    INDEX 01 ${toIndex(entry.time)}`);
+        });
+        return lines.join('\r\n') + '\r\n';
+    }
+
+    buildJson() {
+        return JSON.stringify({
+            format: TRACKLIST_FORMAT,
+            startedAt: this.entries[0].startedAt,
+            tracks: this.entries.map(({ time, deck, videoId, title }) => ({ time: Math.round(time * 1000) / 1000, deck, videoId, title })),
+        }, null, 2);
+    }
+
+    /** @param {'text'|'cue'|'json'} format */
+    exportTracklist(format) {
+        if (!this.entries.length) {
+            showNotification('No tracks have been played yet.', 'info');
+            return;
+        }
+        const baseName = `tracklist-${this.entries[0].startedAt.slice(0, 16).replace(/[:T]/g, '-')}`;
+        if (format === 'cue') {
+            downloadTextFile(`${baseName}.cue`, this.buildCueSheet(), 'application/x-cue');
+        } else if (format === 'json') {
+            downloadTextFile(`${baseName}.json`, this.buildJson(), 'application/json');
+        } else {
+            downloadTextFile(`${baseName}.txt`, this.buildText(), 'text/plain');
+        }
     }
 }
 
+
 // --- Playlist Manager ---
 class PlaylistManager {
     constructor(storageMgr, uiMgrInstance) {
@@ -1839,6 +5922,7 @@ class PlaylistManager {
         this.playlistNameInput = document.getElementById('playlist-name');
         this.savePlaylistButton = document.getElementById('save-playlist-button');
         this.playlistListUl = document.getElementById('playlist-list');
+        this.queueTargetDeckSelect = document.getElementById('queue-target-deck');
 
         this.initEventListeners();
         this.renderPlaylistList();
@@ -1852,6 +5936,8 @@ class PlaylistManager {
 
             if (target.classList.contains('load-playlist-button')) {
                 this.loadPlaylist(target.dataset.playlistName);
+            } else if (target.classList.contains('queue-playlist-button')) {
+                this.queuePlaylist(target.dataset.playlistName);
             } else if (target.classList.contains('delete-playlist-button')) {
                 if (confirm(`Are you sure you want to delete playlist "${target.dataset.playlistName}"?`)) {
                     this.deletePlaylist(target.dataset.playlistName);
@@ -1876,7 +5962,8 @@ class PlaylistManager {
 
         for (let i = 0; i < activeDeckCount; i++) {
             const deck = deckObjects[i];
-            playlistDataToSave.push(deck && deck.currentVideoId ? deck.currentVideoId : null);
+            // Local files can't be reloaded from a saved ID, so those slots are stored empty.
+            playlistDataToSave.push(deck && deck.currentVideoId && !deck.isLocalSource() ? deck.currentVideoId : null);
         }
 
         this.playlists[name] = playlistDataToSave; // Saving as a direct array
@@ -1918,10 +6005,11 @@ class PlaylistManager {
                 if (deck) {
                     if (videoId) {
                         deck.loadVideoById(videoId);
+                        deck.recordAction('loadVideoById', videoId);
                     } else {
                         // If videoId is null or empty, clear the deck
-                        if (deck.player && deck.playerReady && typeof deck.player.stopVideo === 'function') {
-                            try { deck.player.stopVideo(); } catch(e) { console.warn(`Error stopping video on ${deck.deckId}`, e); }
+                        if (deck.player && deck.playerReady) {
+                            try { deck.player.stop(); } catch(e) { console.warn(`Error stopping video on ${deck.deckId}`, e); }
                         }
                         deck.resetDeckState(true);
                     }
@@ -1931,6 +6019,39 @@ class PlaylistManager {
         showNotification(`Playlist "${name}" loaded.`, 'success');
     }
 
+    /**
+     * Adds every track of a playlist, in deck order, to the queue of the deck picked in the
+     * library's "Queue on" selector.
+     * @param {string} name
+     */
+    queuePlaylist(name) {
+        const videoIds = this.getPlaylistVideoIds(name);
+        if (!videoIds) {
+            showNotification(`Playlist "${name}" not found or corrupted.`, 'error');
+            return;
+        }
+        const deck = deckObjects.find(d => d.deckId === this.queueTargetDeckSelect?.value) || deckObjects[0];
+        const added = deck ? deck.addToQueue(videoIds) : 0;
+        if (deck) deck.recordAction('addToQueue', videoIds);
+        if (added > 0) {
+            showNotification(`Queued ${added} track${added === 1 ? '' : 's'} from "${name}" on ${deck.deckId}.`, 'success');
+        } else {
+            showNotification(`Playlist "${name}" has no tracks to queue.`, 'warning');
+        }
+    }
+
+    /**
+     * The playlist's YouTube video IDs in deck order, skipping empty slots.
+     * @param {string} name
+     * @returns {string[]|null} Null when the playlist is missing or corrupted.
+     */
+    getPlaylistVideoIds(name) {
+        let playlistData = this.playlists[name];
+        if (playlistData && Array.isArray(playlistData.videoIds)) playlistData = playlistData.videoIds; // Old format
+        if (!Array.isArray(playlistData)) return null;
+        return playlistData.filter(videoId => typeof videoId === 'string' && videoId);
+    }
+
     deletePlaylist(name) {
          if (!this.storageManager.consentManager.hasConsent(PREFERENCES_CONSENT_ID)) {
             showNotification('Cannot delete playlist. Preferences consent not given.', 'warning');
@@ -1947,7 +6068,20 @@ class PlaylistManager {
         }
     }
 
+    /** Lists the saved playlists in the Auto-DJ playlist picker, after its "Queue only" option. */
+    renderAutoDjPlaylistOptions() {
+        const select = document.getElementById('auto-dj-playlist');
+        if (!select) return;
+        const previousValue = select.value;
+        select.innerHTML = '';
+        select.add(new Option('Queue only', ''));
+        const names = Object.keys(this.playlists);
+        names.forEach(name => select.add(new Option(name, name)));
+        if (names.includes(previousValue)) select.value = previousValue;
+    }
+
     renderPlaylistList() {
+        this.renderAutoDjPlaylistOptions();
         if (!this.playlistListUl) return;
         this.playlistListUl.innerHTML = '';
         const names = Object.keys(this.playlists);
@@ -1984,6 +6118,12 @@ class PlaylistManager {
             loadButton.dataset.playlistName = name;
             loadButton.title = `Load playlist: ${name}`;
 
+            const queueButton = document.createElement('button');
+            queueButton.innerHTML = '<i class="fas fa-list-ol"></i> Queue';
+            queueButton.className = 'queue-playlist-button small-button';
+            queueButton.dataset.playlistName = name;
+            queueButton.title = `Add the tracks of ${name} to the queue of the deck selected above`;
+
             const deleteButton = document.createElement('button');
             deleteButton.innerHTML = '<i class="fas fa-trash"></i> Delete';
             deleteButton.className = 'delete-playlist-button small-button';
@@ -1992,6 +6132,7 @@ class PlaylistManager {
 
 
             buttonsDiv.appendChild(loadButton);
+            buttonsDiv.appendChild(queueButton);
             buttonsDiv.appendChild(deleteButton);
             li.appendChild(nameSpan);
             li.appendChild(buttonsDiv);
@@ -2010,6 +6151,8 @@ class UIManager {
     constructor() {
         this.toggleDeckViewButton = document.getElementById('toggle-deck-view-button');
         this.toggleDeckViewButtonSpan = this.toggleDeckViewButton?.querySelector('span');
+        this.globalQuantizeButton = document.getElementById('global-quantize-button');
+        this.quantizeUnitSelect = document.getElementById('quantize-unit-select');
         this.decksContainer = document.querySelector('.decks-container');
         this.crossfadersGrid = document.querySelector('.crossfaders-grid');
 
@@ -2027,6 +6170,37 @@ class UIManager {
 
     initEventListeners() {
         this.toggleDeckViewButton?.addEventListener('click', () => this.toggleDeckView());
+        this.globalQuantizeButton?.addEventListener('click', () => this.toggleGlobalQuantize());
+        this.quantizeUnitSelect?.addEventListener('change', (e) => {
+            deckObjects.forEach(deck => deck.setQuantizeUnit(e.target.value));
+            showNotification(`Quantize snaps to the next ${e.target.value}.`, 'info');
+        });
+    }
+
+    // Global quantize switches every deck; each deck's own Q button can then override it.
+    toggleGlobalQuantize() {
+        const enable = !deckObjects.every(deck => deck.quantize.enabled);
+        deckObjects.forEach(deck => deck.setQuantize(enable));
+        this.updateGlobalQuantizeUI();
+        showNotification(`Quantize ${enable ? 'ON' : 'OFF'} for all decks.`, 'info');
+    }
+
+    updateGlobalQuantizeUI() {
+        if (!this.globalQuantizeButton) return;
+        const allEnabled = deckObjects.length > 0 && deckObjects.every(deck => deck.quantize.enabled);
+        this.globalQuantizeButton.classList.toggle('active', allEnabled);
+        this.globalQuantizeButton.setAttribute('aria-pressed', String(allEnabled));
+        const label = this.globalQuantizeButton.querySelector('span');
+        if (label) label.textContent = allEnabled ? 'Quantize On' : 'Quantize Off';
+    }
+
+    // The 2-3, 3-4 and 4-1 faders only show in the 4-deck view with pairwise faders; otherwise one main fader mixes.
+    updateCrossfaderSectionsUI() {
+        const showPairwise = this.isFourDeckView && !!mixer?.pairwiseFaders;
+        this.crossfadersGrid?.classList.toggle('four-deck-view', showPairwise);
+        this.crossfaderSections.cf23?.classList.toggle('hidden-by-default', !showPairwise);
+        this.crossfaderSections.cf34?.classList.toggle('hidden-by-default', !showPairwise);
+        this.crossfaderSections.cf41?.classList.toggle('hidden-by-default', !showPairwise);
     }
 
     toggleDeckView() {
@@ -2045,7 +6219,6 @@ class UIManager {
             this.toggleDeckViewButton.title = this.isFourDeckView ? 'Switch to 2 deck view' : 'Switch to 4 deck view';
         }
         this.decksContainer?.classList.toggle('four-deck-view', this.isFourDeckView);
-        this.crossfadersGrid?.classList.toggle('four-deck-view', this.isFourDeckView);
 
         this.deckElements[2]?.classList.toggle('hidden-by-default', !this.isFourDeckView);
         this.deckElements[3]?.classList.toggle('hidden-by-default', !this.isFourDeckView);
@@ -2054,15 +6227,15 @@ class UIManager {
         if (this.isFourDeckView && ytApiReady) {
             for (let i = 2; i < MAX_DECKS; i++) { // Iterate for decks 3 and 4
                 const deck = deckObjects[i];
-                if (deck && !deck.player && !deck.playerApiReadyAndPlayerInitialized) {
+                if (deck && !deck.youtubeBackend.isInitialized() && !deck.playerApiReadyAndPlayerInitialized) {
                     // If API is ready, and player doesn't exist, and we haven't tried to init it yet
                     console.log(`Deck ${deck.deckId} is now visible and API is ready. Initializing player.`);
                     deck.initPlayer(); // This will create the YT.Player
-                } else if (deck && deck.playerApiReadyAndPlayerInitialized && !deck.playerReady && deck.queuedVideoId){
+                } else if (deck && deck.playerApiReadyAndPlayerInitialized && !deck.youtubeBackend.isReady() && deck.queuedVideoId){
                     // If YT.Player() was called, but onReady event hasn't fired,
                     // and there's a queued video, onPlayerReady for this deck will handle it.
                      console.log(`Deck ${deck.deckId} player construction called, onReady will handle queued video.`);
-                } else if (deck && deck.playerReady && deck.queuedVideoId) {
+                } else if (deck && deck.youtubeBackend.isReady() && deck.queuedVideoId) {
                     // If player is fully ready and has a queued video (e.g. from a previous state)
                     console.log(`Deck ${deck.deckId} is visible, player ready. Processing queued video.`);
                     const videoToLoad = deck.queuedVideoId;
@@ -2072,9 +6245,10 @@ class UIManager {
             }
         }
 
-        this.crossfaderSections.cf23?.classList.toggle('hidden-by-default', !this.isFourDeckView);
-        this.crossfaderSections.cf34?.classList.toggle('hidden-by-default', !this.isFourDeckView);
-        this.crossfaderSections.cf41?.classList.toggle('hidden-by-default', !this.isFourDeckView);
+        this.updateCrossfaderSectionsUI();
+
+        // Deck width changes with the view, which changes how many beatgrid ticks fit on the seek slider.
+        deckObjects.forEach(deck => deck.updateBeatgridTicks());
     }
 }
 
@@ -2088,7 +6262,7 @@ function onYouTubeIframeAPIReady() {
     // Process any decks that were queued for initialization
     // or are default visible (Deck 1 and 2)
     deckInitializationQueue.forEach(deck => {
-        if (deck && !deck.player && !deck.playerApiReadyAndPlayerInitialized) {
+        if (deck && !deck.youtubeBackend.isInitialized() && !deck.playerApiReadyAndPlayerInitialized) {
             console.log(`API is ready. Initializing player for queued/default deck: ${deck.deckId}`);
             deck.initPlayer();
         }
@@ -2098,7 +6272,7 @@ function onYouTubeIframeAPIReady() {
     // Ensure initially visible decks (1 & 2) are initialized if not already
     for (let i = 0; i < 2; i++) { // Decks 1 and 2
         const deck = deckObjects[i];
-        if (deck && !deck.player && !deck.playerApiReadyAndPlayerInitialized) {
+        if (deck && !deck.youtubeBackend.isInitialized() && !deck.playerApiReadyAndPlayerInitialized) {
             console.log(`API is ready. Initializing player for default visible deck: ${deck.deckId}`);
             deck.initPlayer();
         }
@@ -2109,7 +6283,7 @@ function onYouTubeIframeAPIReady() {
     if (uiManager && uiManager.isFourDeckView) {
         for (let i = 2; i < MAX_DECKS; i++) { // Decks 3 and 4
             const deck = deckObjects[i];
-            if (deck && !deck.player && !deck.playerApiReadyAndPlayerInitialized) {
+            if (deck && !deck.youtubeBackend.isInitialized() && !deck.playerApiReadyAndPlayerInitialized) {
                 console.log(`API is ready. Four deck view active. Initializing player for deck: ${deck.deckId}`);
                 deck.initPlayer();
             }
@@ -2148,7 +6322,7 @@ document.addEventListener('DOMContentLoaded', () => {
                 }
             } else { // If API is somehow already ready (e.g. script loaded late)
                 console.log(`DOM ready: YT API already ready. Initializing player for ${deckId} directly.`);
-                if (!deck.player && !deck.playerApiReadyAndPlayerInitialized) {
+                if (!deck.youtubeBackend.isInitialized() && !deck.playerApiReadyAndPlayerInitialized) {
                     deck.initPlayer();
                 }
             }
@@ -2156,6 +6330,8 @@ document.addEventListener('DOMContentLoaded', () => {
     }
 
     playlistManager = new PlaylistManager(storageManager, uiManager);
+    setRecorder = new SetRecorder();
+    tracklistLogger = new TracklistLogger();
 
     consentManager.applyConsentToUI();
     playlistManager.refreshPlaylistsAfterConsentChange();